@@ -0,0 +1,168 @@
+import { describe, expect, it } from "@jest/globals";
+import path from "path";
+import {
+  archiveFormat,
+  buildArchive,
+  findSymlinkEntryProblems,
+  parseArchive,
+  resolveEntryPath,
+} from "../archive.js";
+
+const mtime = new Date("2024-01-02T03:04:06Z");
+const entries = [
+  { name: "dir", type: "directory", mode: 0o755, mtime, linkname: "" },
+  {
+    name: "dir/hello.txt",
+    type: "file",
+    mode: 0o644,
+    mtime,
+    linkname: "",
+    getData: async () => Buffer.from("hello\n".repeat(100)),
+  },
+  {
+    name: `dir/${"long-name-".repeat(15)}.txt`,
+    type: "file",
+    mode: 0o600,
+    mtime,
+    linkname: "",
+    getData: async () => Buffer.from("x"),
+  },
+  {
+    name: "dir/link",
+    type: "symlink",
+    mode: 0o777,
+    mtime,
+    linkname: "hello.txt",
+  },
+];
+
+describe("archives", () => {
+  it.each(["tar", "tar.gz", "zip"])(
+    "round-trips entries as %s",
+    async (format) => {
+      const parsed = await parseArchive(
+        await buildArchive(entries, format),
+        format
+      );
+      expect(
+        parsed.map(({ name, type, mode, linkname }) => ({
+          name,
+          type,
+          mode,
+          linkname,
+        }))
+      ).toEqual(
+        entries.map(({ name, type, mode, linkname }) => ({
+          name,
+          type,
+          mode,
+          linkname,
+        }))
+      );
+      expect((await parsed[1].getData()).toString()).toBe(
+        "hello\n".repeat(100)
+      );
+      expect(parsed[1].mtime).toEqual(mtime);
+    }
+  );
+
+  it("detects the format from the file name", () => {
+    expect(archiveFormat("a/b.TGZ")).toBe("tar.gz");
+    expect(archiveFormat("b.tar")).toBe("tar");
+    expect(archiveFormat("b.zip")).toBe("zip");
+    expect(() => archiveFormat("b.rar")).toThrow("Unsupported archive type");
+  });
+
+  it("rejects entry names that escape the target directory", () => {
+    const target = path.resolve("/extract");
+    expect(resolveEntryPath(target, "a/./b")).toBe(path.join(target, "a", "b"));
+    expect(() => resolveEntryPath(target, "../x")).toThrow("escapes");
+    expect(() => resolveEntryPath(target, "a/../../x")).toThrow("escapes");
+    expect(() => resolveEntryPath(target, "..\\x")).toThrow("escapes");
+    expect(() => resolveEntryPath(target, "/etc/passwd")).toThrow("absolute");
+    expect(() => resolveEntryPath(target, "C:/x")).toThrow("absolute");
+  });
+
+  it.each(["tar", "tar.gz", "zip"])(
+    "rejects %s archives that expand past the size limit",
+    async (format) => {
+      const bomb = await buildArchive(
+        [
+          {
+            name: "zeros.bin",
+            type: "file",
+            mode: 0o644,
+            mtime,
+            linkname: "",
+            getData: async () => Buffer.alloc(4 * 1024 * 1024),
+          },
+        ],
+        format
+      );
+      await expect(parseArchive(bomb, format, 1024 * 1024)).rejects.toThrow(
+        "Archive is too large: its contents exceed the limit of 1048576 bytes"
+      );
+      await expect(
+        parseArchive(bomb, format, 4 * 1024 * 1024)
+      ).resolves.toHaveLength(1);
+    }
+  );
+
+  it("never inflates a zip entry past its declared size", async () => {
+    const zip = await buildArchive(
+      [
+        {
+          name: "zeros.bin",
+          type: "file",
+          mode: 0o644,
+          mtime,
+          linkname: "",
+          getData: async () => Buffer.alloc(1024 * 1024),
+        },
+      ],
+      "zip"
+    );
+    // Rewrite the uncompressed size in the central directory entry
+    const centralDirectory = zip.readUInt32LE(zip.length - 22 + 16);
+    zip.writeUInt32LE(10, centralDirectory + 24);
+
+    const [entry] = await parseArchive(zip, "zip", 1024);
+    expect(entry.size).toBe(10);
+    await expect(entry.getData()).rejects.toThrow(
+      "Corrupt zip archive: zeros.bin is larger than its declared size"
+    );
+  });
+
+  it("rejects symlink chains that lead out of the target directory", async () => {
+    const link = (name, linkname) => ({
+      name,
+      type: "symlink",
+      mode: 0o777,
+      mtime,
+      linkname,
+    });
+    const chain = [
+      link("y", "."),
+      link("x", "y/.."),
+      link("z", "x/.."),
+      {
+        name: "z/escaped.txt",
+        type: "file",
+        mode: 0o644,
+        mtime,
+        linkname: "",
+        getData: async () => Buffer.from("escaped"),
+      },
+    ];
+    const target = path.resolve("/extract");
+
+    // Every link on its own points inside the target directory
+    const parsed = await parseArchive(await buildArchive(chain, "tar"), "tar");
+    expect(findSymlinkEntryProblems(target, parsed)).toEqual([
+      "Archive entry is a symlink whose target passes through another symlink entry: x -> y/..",
+      "Archive entry is a symlink whose target passes through another symlink entry: z -> x/..",
+      "Archive entry is inside a symlink entry: z/escaped.txt (z is a symlink)",
+    ]);
+    expect(findSymlinkEntryProblems(target, entries)).toEqual([]);
+  });
+});
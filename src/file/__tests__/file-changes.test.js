@@ -0,0 +1,104 @@
+import { afterEach, beforeEach, describe, expect, it } from "@jest/globals";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { commitFileChanges } from "../file-changes.js";
+import { listTrash } from "../trash.js";
+
+describe("commitFileChanges", () => {
+  let tempDir;
+  let trashDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "file-changes-"))
+    );
+    trashDir = path.join(tempDir, ".trash");
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("writes, creates and deletes files", async () => {
+    const edited = path.join(tempDir, "edited.txt");
+    const deleted = path.join(tempDir, "deleted.txt");
+    const created = path.join(tempDir, "new", "created.txt");
+    await fs.writeFile(edited, "before\n");
+    await fs.writeFile(deleted, "gone\n");
+
+    await commitFileChanges(
+      [
+        { path: edited, content: "after\n", previous: "before\n" },
+        { path: deleted, content: null, previous: "gone\n" },
+        { path: created, content: "hello\n", previous: null },
+      ],
+      trashDir
+    );
+
+    await expect(fs.readFile(edited, "utf-8")).resolves.toBe("after\n");
+    await expect(fs.readFile(created, "utf-8")).resolves.toBe("hello\n");
+    await expect(fs.lstat(deleted)).rejects.toThrow("ENOENT");
+    await expect(listTrash(trashDir)).resolves.toHaveLength(1);
+  });
+
+  it("restores every earlier change when a later write fails", async () => {
+    const edited = path.join(tempDir, "edited.txt");
+    const deleted = path.join(tempDir, "deleted.txt");
+    const created = path.join(tempDir, "created.txt");
+    const blocker = path.join(tempDir, "blocker");
+    await fs.writeFile(edited, "before\n");
+    await fs.writeFile(deleted, "keep me\n");
+    await fs.writeFile(blocker, "a file, not a directory\n");
+
+    await expect(
+      commitFileChanges(
+        [
+          { path: edited, content: "after\n", previous: "before\n" },
+          { path: deleted, content: null, previous: "keep me\n" },
+          { path: created, content: "hello\n", previous: null },
+          // The parent is a regular file, so creating it fails
+          {
+            path: path.join(blocker, "fails.txt"),
+            content: "never written\n",
+            previous: null,
+          },
+        ],
+        trashDir
+      )
+    ).rejects.toThrow();
+
+    await expect(fs.readFile(edited, "utf-8")).resolves.toBe("before\n");
+    await expect(fs.readFile(deleted, "utf-8")).resolves.toBe("keep me\n");
+    await expect(fs.lstat(created)).rejects.toThrow("ENOENT");
+    await expect(listTrash(trashDir)).resolves.toEqual([]);
+    expect((await fs.readdir(tempDir)).sort()).toEqual(
+      [".trash", "blocker", "deleted.txt", "edited.txt"].sort()
+    );
+  });
+
+  it("touches no file when content cannot be encoded", async () => {
+    const first = path.join(tempDir, "first.txt");
+    const second = path.join(tempDir, "second.txt");
+    await fs.writeFile(first, "one\n");
+    await fs.writeFile(second, "two\n");
+
+    await expect(
+      commitFileChanges(
+        [
+          { path: first, content: "uno\n", previous: "one\n" },
+          {
+            path: second,
+            content: "check ✓\n",
+            previous: "two\n",
+            format: { encoding: "latin1" },
+          },
+        ],
+        trashDir
+      )
+    ).rejects.toThrow();
+
+    await expect(fs.readFile(first, "utf-8")).resolves.toBe("one\n");
+    await expect(fs.readFile(second, "utf-8")).resolves.toBe("two\n");
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "@jest/globals";
+import path from "path";
+import { isIgnored, parseGitignore } from "../gitignore.js";
+
+const root = path.resolve("/repo");
+
+function ignored(rules, relativePath, isDirectory = false) {
+  return isIgnored(rules, path.join(root, relativePath), isDirectory);
+}
+
+describe("gitignore", () => {
+  it("matches unanchored patterns at any depth", () => {
+    const rules = parseGitignore("*.log\nnode_modules/\n", root);
+    expect(ignored(rules, "app.log")).toBe(true);
+    expect(ignored(rules, "logs/deep/app.log")).toBe(true);
+    expect(ignored(rules, "packages/a/node_modules", true)).toBe(true);
+    expect(ignored(rules, "src/app.js")).toBe(false);
+  });
+
+  it("anchors patterns containing a slash to the .gitignore directory", () => {
+    const rules = parseGitignore("/build\ndocs/*.md\n", root);
+    expect(ignored(rules, "build", true)).toBe(true);
+    expect(ignored(rules, "src/build", true)).toBe(false);
+    expect(ignored(rules, "docs/intro.md")).toBe(true);
+    expect(ignored(rules, "src/docs/intro.md")).toBe(false);
+  });
+
+  it("applies directory-only patterns to directories alone", () => {
+    const rules = parseGitignore("cache/\n", root);
+    expect(ignored(rules, "cache", true)).toBe(true);
+    expect(ignored(rules, "cache", false)).toBe(false);
+  });
+
+  it("lets later negations re-include entries", () => {
+    const rules = parseGitignore("*.log\n!keep.log\n", root);
+    expect(ignored(rules, "debug.log")).toBe(true);
+    expect(ignored(rules, "keep.log")).toBe(false);
+  });
+
+  it("skips comments and blank lines and honours escapes", () => {
+    const rules = parseGitignore("# comment\n\n\\#literal\n", root);
+    expect(rules).toHaveLength(1);
+    expect(ignored(rules, "#literal")).toBe(true);
+  });
+
+  it("gives nested .gitignore files precedence over outer ones", () => {
+    const rules = [
+      ...parseGitignore("*.gen.js\n", root),
+      ...parseGitignore("!keep.gen.js\n", path.join(root, "src")),
+    ];
+    expect(ignored(rules, "src/keep.gen.js")).toBe(false);
+    expect(ignored(rules, "keep.gen.js")).toBe(true);
+    expect(ignored(rules, "src/other.gen.js")).toBe(true);
+  });
+});
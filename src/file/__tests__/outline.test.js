@@ -0,0 +1,77 @@
+import { describe, expect, it } from "@jest/globals";
+import { canOutline, flattenOutline, parseOutline } from "../outline.js";
+
+const summarize = (symbols) =>
+  flattenOutline(symbols).map(({ kind, name, container, startLine }) =>
+    [kind, container ? `${container}.${name}` : name, startLine].join(" ")
+  );
+
+describe("parseOutline", () => {
+  it("lists imports, functions, classes and exported variables", () => {
+    const source = [
+      'import fs, { readFile as read } from "fs";',
+      "export const LIMIT = 10;",
+      "const internal = 1;",
+      "export function load(path) {",
+      "  function helper() {}",
+      "  return helper();",
+      "}",
+      "class Cache {",
+      "  #entries = new Map();",
+      "  static get size() { return 0; }",
+      "  clear = () => {};",
+      "}",
+      "export default () => null;",
+    ].join("\n");
+
+    const symbols = parseOutline(source, "cache.js");
+    expect(summarize(symbols)).toEqual([
+      "import fs 1",
+      "variable LIMIT 2",
+      "function load 4",
+      "function load.helper 5",
+      "class Cache 8",
+      "property Cache.#entries 9",
+      "method Cache.size 10",
+      "method Cache.clear 11",
+      "function default 13",
+    ]);
+    expect(symbols[0].detail).toBe("fs, read");
+    expect(symbols[2]).toMatchObject({
+      startLine: 4,
+      endLine: 7,
+      exported: true,
+    });
+    expect(symbols[3].children[1].detail).toBe("static get");
+  });
+
+  it("understands TypeScript declarations and JSX", () => {
+    const source = [
+      "export interface Props { title: string }",
+      "type Id = string;",
+      "enum Color { Red }",
+      "namespace Shapes.Round { export function area() {} }",
+      "export const Title = ({ title }: Props) => <h1>{title}</h1>;",
+      'export { Title as Heading } from "./title";',
+    ].join("\n");
+
+    expect(summarize(parseOutline(source, "title.tsx"))).toEqual([
+      "interface Props 1",
+      "type Id 2",
+      "enum Color 3",
+      "namespace Shapes.Round 4",
+      "function Shapes.Round.area 4",
+      "function Title 5",
+      "export Heading 6",
+    ]);
+  });
+
+  it("rejects unsupported files and unparseable source", () => {
+    expect(canOutline("script.MJS")).toBe(true);
+    expect(canOutline("notes.md")).toBe(false);
+    expect(() => parseOutline("x", "notes.md")).toThrow(/supported extensions/);
+    expect(() => parseOutline("function (", "broken.js")).toThrow(
+      /Cannot parse broken.js/
+    );
+  });
+});
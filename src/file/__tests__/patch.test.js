@@ -0,0 +1,68 @@
+import { describe, expect, it } from "@jest/globals";
+import { applyHunks, parseMultiFilePatch } from "../patch.js";
+
+const original = "one\ntwo\nthree\nfour\nfive\nsix\n";
+
+describe("parseMultiFilePatch", () => {
+  it("reads plain unified diffs touching several files", () => {
+    const patches = parseMultiFilePatch(
+      "--- a/x.txt\n+++ b/x.txt\n@@ -1 +1 @@\n-a\n+b\n" +
+        "--- /dev/null\n+++ b/y.txt\n@@ -0,0 +1 @@\n+new\n"
+    );
+    expect(patches.map(({ oldPath, newPath }) => [oldPath, newPath])).toEqual([
+      ["x.txt", "x.txt"],
+      [null, "y.txt"],
+    ]);
+  });
+
+  it("understands git renames, creations and deletions", () => {
+    const patches = parseMultiFilePatch(
+      "diff --git a/old.js b/new.js\nsimilarity index 100%\n" +
+        "rename from old.js\nrename to new.js\n" +
+        "diff --git a/gone.js b/gone.js\ndeleted file mode 100644\n" +
+        "--- a/gone.js\n+++ /dev/null\n@@ -1 +0,0 @@\n-x\n"
+    );
+    expect(patches).toHaveLength(2);
+    expect(patches[0]).toMatchObject({
+      oldPath: "old.js",
+      newPath: "new.js",
+      hunks: [],
+    });
+    expect(patches[1]).toMatchObject({ oldPath: "gone.js", newPath: null });
+  });
+});
+
+describe("applyHunks", () => {
+  function hunksOf(patchText) {
+    return parseMultiFilePatch(patchText)[0].hunks;
+  }
+
+  it("applies hunks whose line numbers are off", () => {
+    const hunks = hunksOf(
+      "--- a/f\n+++ b/f\n@@ -1,3 +1,3 @@\n four\n-five\n+FIVE\n six\n"
+    );
+    const result = applyHunks(original, hunks);
+    expect(result.failures).toEqual([]);
+    expect(result.content).toBe("one\ntwo\nthree\nfour\nFIVE\nsix\n");
+    expect(result.notes).toEqual(["hunk #1 applied at offset +3"]);
+  });
+
+  it("ignores mismatched outer context lines up to the fuzz factor", () => {
+    const hunks = hunksOf(
+      "--- a/f\n+++ b/f\n@@ -2,3 +2,3 @@\n TWO\n-three\n+THREE\n four\n"
+    );
+    expect(applyHunks(original, hunks, 0).failures).toHaveLength(1);
+    const result = applyHunks(original, hunks, 1);
+    expect(result.content).toBe("one\ntwo\nTHREE\nfour\nfive\nsix\n");
+    expect(result.notes).toEqual(["hunk #1 applied with fuzz 1"]);
+  });
+
+  it("names every hunk that does not apply", () => {
+    const hunks = hunksOf(
+      "--- a/f\n+++ b/f\n@@ -1,2 +1,2 @@\n-one\n+ONE\n two\n" +
+        "@@ -5,2 +5,2 @@\n-missing\n+x\n six\n"
+    );
+    const result = applyHunks(original, hunks);
+    expect(result.failures).toEqual(["hunk #2 @@ -5,2 +5,2 @@ does not apply"]);
+  });
+});
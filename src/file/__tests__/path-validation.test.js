@@ -0,0 +1,297 @@
+import { afterAll, beforeAll, describe, expect, it } from "@jest/globals";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  isPathWithinDirectory,
+  resolveAllowedEntryPath,
+  resolveAllowedPath,
+  writeFileAtomic,
+} from "../path-validation.js";
+
+describe("isPathWithinDirectory", () => {
+  it("accepts the directory itself and its descendants", () => {
+    expect(isPathWithinDirectory("/data/app", "/data/app")).toBe(true);
+    expect(isPathWithinDirectory("/data/app/src/a.js", "/data/app")).toBe(true);
+  });
+
+  it("rejects sibling directories sharing a name prefix", () => {
+    expect(isPathWithinDirectory("/data/app-secrets", "/data/app")).toBe(false);
+    expect(
+      isPathWithinDirectory("/data/app-secrets/key.pem", "/data/app")
+    ).toBe(false);
+  });
+
+  it("ignores trailing separators", () => {
+    expect(isPathWithinDirectory("/data/app/", "/data/app")).toBe(true);
+    expect(isPathWithinDirectory("/data/app/a.txt", "/data/app/")).toBe(true);
+    expect(isPathWithinDirectory("/data/app-x", "/data/app/")).toBe(false);
+  });
+
+  it("resolves .. segments before comparing", () => {
+    expect(isPathWithinDirectory("/data/app/../secrets", "/data/app")).toBe(
+      false
+    );
+    expect(isPathWithinDirectory("/data/app/src/../a.txt", "/data/app")).toBe(
+      true
+    );
+  });
+
+  it("treats the file system root as containing everything", () => {
+    expect(isPathWithinDirectory("/etc/passwd", "/")).toBe(true);
+  });
+
+  it("folds case only for case-insensitive file systems", () => {
+    expect(isPathWithinDirectory("/Data/App/a.txt", "/data/app", true)).toBe(
+      true
+    );
+    expect(isPathWithinDirectory("/Data/App/a.txt", "/data/app", false)).toBe(
+      false
+    );
+    expect(isPathWithinDirectory("/DATA/APP-x", "/data/app", true)).toBe(false);
+  });
+});
+
+describe("resolveAllowedPath", () => {
+  let tempDir;
+  let allowedDir;
+  let outsideDir;
+  let allowedDirectories;
+
+  beforeAll(async () => {
+    tempDir = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "path-validation-"))
+    );
+    allowedDir = path.join(tempDir, "app");
+    outsideDir = path.join(tempDir, "app-secrets");
+    allowedDirectories = [allowedDir];
+
+    await fs.mkdir(path.join(allowedDir, "src"), { recursive: true });
+    await fs.mkdir(outsideDir);
+    await fs.writeFile(path.join(allowedDir, "src", "index.js"), "ok");
+    await fs.writeFile(path.join(outsideDir, "key.pem"), "secret");
+
+    // Symlinks used by the escape attempts below
+    await fs.symlink(
+      path.join(outsideDir, "key.pem"),
+      path.join(allowedDir, "direct-link")
+    );
+    await fs.symlink(
+      path.join(allowedDir, "direct-link"),
+      path.join(allowedDir, "chain-link")
+    );
+    await fs.symlink(outsideDir, path.join(allowedDir, "dir-link"));
+    await fs.symlink(
+      path.join(outsideDir, "missing.txt"),
+      path.join(allowedDir, "dangling-link")
+    );
+    await fs.symlink(
+      path.join(allowedDir, "src", "index.js"),
+      path.join(allowedDir, "inside-link")
+    );
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("resolves existing files inside an allowed directory", async () => {
+    const filePath = path.join(allowedDir, "src", "index.js");
+    await expect(
+      resolveAllowedPath(filePath, allowedDirectories)
+    ).resolves.toEqual({ absolute: filePath, resolved: filePath });
+  });
+
+  it("resolves new files whose parent is inside an allowed directory", async () => {
+    const filePath = path.join(allowedDir, "src", "new.js");
+    const { resolved } = await resolveAllowedPath(filePath, allowedDirectories);
+    expect(resolved).toBe(filePath);
+  });
+
+  it("accepts allowed directories given with a trailing separator", async () => {
+    const filePath = path.join(allowedDir, "src", "index.js");
+    const { resolved } = await resolveAllowedPath(filePath, [
+      allowedDir + path.sep,
+    ]);
+    expect(resolved).toBe(filePath);
+  });
+
+  it("follows symlinks that stay inside the allowed directories", async () => {
+    const { resolved } = await resolveAllowedPath(
+      path.join(allowedDir, "inside-link"),
+      allowedDirectories
+    );
+    expect(resolved).toBe(path.join(allowedDir, "src", "index.js"));
+  });
+
+  it("rejects sibling directories sharing a name prefix", async () => {
+    await expect(
+      resolveAllowedPath(path.join(outsideDir, "key.pem"), allowedDirectories)
+    ).rejects.toThrow("path outside allowed directories");
+  });
+
+  it("rejects .. traversal out of the allowed directory", async () => {
+    await expect(
+      resolveAllowedPath(
+        path.join(allowedDir, "src", "..", "..", "app-secrets", "key.pem"),
+        allowedDirectories
+      )
+    ).rejects.toThrow("path outside allowed directories");
+    await expect(
+      resolveAllowedPath(`${allowedDir}/../app-secrets/key.pem`, [allowedDir])
+    ).rejects.toThrow("path outside allowed directories");
+  });
+
+  it("rejects symlinks pointing outside the allowed directories", async () => {
+    await expect(
+      resolveAllowedPath(
+        path.join(allowedDir, "direct-link"),
+        allowedDirectories
+      )
+    ).rejects.toThrow("symlink target outside allowed directories");
+  });
+
+  it("rejects symlink chains that end outside the allowed directories", async () => {
+    await expect(
+      resolveAllowedPath(
+        path.join(allowedDir, "chain-link"),
+        allowedDirectories
+      )
+    ).rejects.toThrow("symlink target outside allowed directories");
+  });
+
+  it("rejects files reached through a symlinked directory", async () => {
+    await expect(
+      resolveAllowedPath(
+        path.join(allowedDir, "dir-link", "key.pem"),
+        allowedDirectories
+      )
+    ).rejects.toThrow("symlink target outside allowed directories");
+  });
+
+  it("rejects new files inside a symlinked directory", async () => {
+    await expect(
+      resolveAllowedPath(
+        path.join(allowedDir, "dir-link", "new.txt"),
+        allowedDirectories
+      )
+    ).rejects.toThrow("parent directory outside allowed directories");
+  });
+
+  it("rejects dangling symlinks", async () => {
+    await expect(
+      resolveAllowedPath(
+        path.join(allowedDir, "dangling-link"),
+        allowedDirectories
+      )
+    ).rejects.toThrow("symlink target does not exist");
+  });
+
+  it("rejects paths containing null bytes", async () => {
+    await expect(
+      resolveAllowedPath(
+        path.join(allowedDir, "src", "index.js\0.txt"),
+        allowedDirectories
+      )
+    ).rejects.toThrow("null byte");
+  });
+
+  it("reports missing parent directories", async () => {
+    await expect(
+      resolveAllowedPath(
+        path.join(allowedDir, "missing", "new.txt"),
+        allowedDirectories
+      )
+    ).rejects.toThrow("Parent directory does not exist");
+  });
+});
+
+describe("resolveAllowedEntryPath", () => {
+  let tempDir;
+  let allowedDir;
+  let outsideDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "path-validation-"))
+    );
+    allowedDir = path.join(tempDir, "app");
+    outsideDir = path.join(tempDir, "app-secrets");
+    await fs.mkdir(allowedDir);
+    await fs.mkdir(outsideDir);
+    await fs.writeFile(path.join(outsideDir, "key.pem"), "secret");
+    await fs.symlink(
+      path.join(outsideDir, "key.pem"),
+      path.join(allowedDir, "direct-link")
+    );
+    await fs.symlink(outsideDir, path.join(allowedDir, "dir-link"));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("resolves a symlink to itself rather than its target", async () => {
+    const linkPath = path.join(allowedDir, "direct-link");
+    await expect(
+      resolveAllowedEntryPath(linkPath, [allowedDir])
+    ).resolves.toEqual({ absolute: linkPath, resolved: linkPath });
+  });
+
+  it("still resolves the directories leading to the entry", async () => {
+    await expect(
+      resolveAllowedEntryPath(path.join(allowedDir, "dir-link", "key.pem"), [
+        allowedDir,
+      ])
+    ).rejects.toThrow("symlink target outside allowed directories");
+    await expect(
+      resolveAllowedEntryPath(path.join(outsideDir, "key.pem"), [allowedDir])
+    ).rejects.toThrow("path outside allowed directories");
+  });
+});
+
+describe("writeFileAtomic", () => {
+  let tempDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "write-atomic-"));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("creates and overwrites regular files", async () => {
+    const filePath = path.join(tempDir, "plain.txt");
+    await writeFileAtomic(filePath, "first");
+    await writeFileAtomic(filePath, "second");
+    await expect(fs.readFile(filePath, "utf-8")).resolves.toBe("second");
+  });
+
+  it("keeps the permissions of the replaced file", async () => {
+    const filePath = path.join(tempDir, "script.sh");
+    await fs.writeFile(filePath, "#!/bin/sh");
+    await fs.chmod(filePath, 0o750);
+    await writeFileAtomic(filePath, "#!/bin/sh\necho hi");
+    expect((await fs.stat(filePath)).mode & 0o777).toBe(0o750);
+  });
+
+  it("leaves no temporary files behind", async () => {
+    await writeFileAtomic(path.join(tempDir, "clean.txt"), "data");
+    const leftovers = (await fs.readdir(tempDir)).filter((name) =>
+      name.endsWith(".tmp")
+    );
+    expect(leftovers).toEqual([]);
+  });
+
+  it("does not write through a symlink swapped in after validation", async () => {
+    const targetPath = path.join(tempDir, "target.txt");
+    const linkPath = path.join(tempDir, "swapped.txt");
+    await fs.writeFile(targetPath, "original");
+    await fs.symlink(targetPath, linkPath);
+
+    await writeFileAtomic(linkPath, "hijacked");
+    await expect(fs.readFile(targetPath, "utf-8")).resolves.toBe("original");
+    expect((await fs.lstat(linkPath)).isSymbolicLink()).toBe(false);
+  });
+});
@@ -0,0 +1,107 @@
+import { afterAll, beforeAll, describe, expect, it } from "@jest/globals";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { getPolicyDenial, loadPolicy, parsePolicy } from "../policy.js";
+
+const base = path.resolve("/data");
+const docs = path.join(base, "docs");
+const app = path.join(base, "app");
+
+const policy = parsePolicy({
+  deny: ["**/.env", "**/.git/**"],
+  tools: { move_file: false },
+  roots: [
+    { path: docs, readOnly: true },
+    { path: app, deny: ["secrets/**"], tools: { write_file: false } },
+  ],
+});
+
+const denial = (filePath, toolName, caseInsensitive = false) =>
+  getPolicyDenial(policy, [base], filePath, toolName, caseInsensitive);
+
+describe("getPolicyDenial", () => {
+  it("applies deny globs at any depth below the allowed directory", () => {
+    expect(denial(path.join(base, ".env"), "read_file")).toBe(
+      'deny pattern "**/.env"'
+    );
+    expect(denial(path.join(app, "config", ".env"))).toBe(
+      'deny pattern "**/.env"'
+    );
+    expect(denial(path.join(base, "repo", ".git", "config"))).toBe(
+      'deny pattern "**/.git/**"'
+    );
+    expect(denial(path.join(base, "env.txt"), "read_file")).toBeNull();
+  });
+
+  it("folds case in deny globs only on case-insensitive file systems", () => {
+    expect(denial(path.join(base, ".ENV"), "read_file")).toBeNull();
+    expect(denial(path.join(base, ".ENV"), "read_file", true)).toBe(
+      'deny pattern "**/.env"'
+    );
+    expect(
+      denial(path.join(base, "APP", "secrets", "key.pem"), "read_file", true)
+    ).toBe(`deny pattern "secrets/**" for root ${app}`);
+  });
+
+  it("blocks only write tools in read-only roots", () => {
+    const file = path.join(docs, "guide.md");
+    expect(denial(file, "read_file")).toBeNull();
+    expect(denial(file, "write_file")).toBe(`root ${docs} is read-only`);
+    expect(denial(file, "delete_file")).toBe(`root ${docs} is read-only`);
+  });
+
+  it("disables tools globally and per root", () => {
+    expect(denial(path.join(docs, "a.txt"), "move_file")).toBe(
+      'tool "move_file" is disabled'
+    );
+    expect(denial(path.join(app, "a.txt"), "write_file")).toBe(
+      `tool "write_file" is disabled for root ${app}`
+    );
+    expect(denial(path.join(base, "other", "a.txt"), "write_file")).toBeNull();
+  });
+
+  it("applies root deny globs relative to the root", () => {
+    expect(denial(path.join(app, "secrets", "key.pem"), "read_file")).toBe(
+      `deny pattern "secrets/**" for root ${app}`
+    );
+    expect(denial(path.join(docs, "secrets", "key.pem"), "read_file")).toBe(
+      null
+    );
+  });
+});
+
+describe("loadPolicy", () => {
+  let tempDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "policy-"));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("reads YAML policies and resolves root paths", async () => {
+    const policyPath = path.join(tempDir, "policy.yaml");
+    await fs.writeFile(
+      policyPath,
+      ["roots:", "  - path: /data/docs/../docs", "    readOnly: true"].join(
+        "\n"
+      )
+    );
+    const loaded = await loadPolicy(policyPath);
+    expect(loaded.deny).toEqual([]);
+    expect(loaded.roots).toEqual([
+      { path: docs, readOnly: true, deny: [], tools: {} },
+    ]);
+  });
+
+  it("rejects policies that do not match the schema", async () => {
+    const policyPath = path.join(tempDir, "policy.json");
+    await fs.writeFile(policyPath, JSON.stringify({ deny: "**/.env" }));
+    await expect(loadPolicy(policyPath)).rejects.toThrow(
+      `Invalid policy file ${policyPath}`
+    );
+  });
+});
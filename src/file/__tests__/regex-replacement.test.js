@@ -0,0 +1,54 @@
+import { describe, expect, it } from "@jest/globals";
+import { expandReplacement } from "../regex-replacement.js";
+
+// What String.prototype.replace makes of the template for the first match
+function nativeReplacement(input, pattern, template) {
+  const match = input.match(pattern);
+  const replaced = input.replace(pattern, template);
+  return replaced.slice(
+    match.index,
+    replaced.length - (input.length - match.index - match[0].length)
+  );
+}
+
+describe("expandReplacement", () => {
+  const input = "let total = sum(a, b);";
+  const patterns = [
+    /sum\((\w), (\w)\)/,
+    /sum\((?<first>\w), (?<second>\w)\)/,
+    /(s)(u)(m)(\()(a)(,)( )(b)(\))(;)/,
+  ];
+  const templates = [
+    "$$1",
+    "[$&]",
+    "$`|$'",
+    "$1$2",
+    "$10",
+    "$01",
+    "$00",
+    "$3",
+    "$11",
+    "$<first>-$<second>",
+    "$<missing>",
+    "$<first",
+    "$<$1>",
+    "cost: $",
+  ];
+
+  it("follows the rules of String.prototype.replace", () => {
+    for (const pattern of patterns) {
+      const [match] = input.matchAll(new RegExp(pattern, "g"));
+      for (const template of templates) {
+        expect([template, expandReplacement(template, match)]).toEqual([
+          template,
+          nativeReplacement(input, pattern, template),
+        ]);
+      }
+    }
+  });
+
+  it("reads $10 as group 1 followed by 0 when there are fewer groups", () => {
+    const [match] = "ab".matchAll(/(a)b/g);
+    expect(expandReplacement("$10", match)).toBe("a0");
+  });
+});
@@ -0,0 +1,82 @@
+import { afterEach, beforeEach, describe, expect, it } from "@jest/globals";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { pathToFileURL } from "url";
+import { clientRootsToDirectories } from "../roots.js";
+
+describe("clientRootsToDirectories", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "roots-"))
+    );
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const root = (filePath, name) => ({
+    uri: pathToFileURL(filePath).href,
+    name,
+  });
+
+  it("accepts local directories and keeps their names", async () => {
+    const project = path.join(tempDir, "project");
+    await fs.mkdir(project);
+
+    const { directories, ignored } = await clientRootsToDirectories([
+      root(project, "Project"),
+      root(tempDir),
+    ]);
+
+    expect(directories).toEqual([
+      { path: project, source: "client root", name: "Project" },
+      { path: tempDir, source: "client root", name: undefined },
+    ]);
+    expect(ignored).toEqual([]);
+  });
+
+  it("drops roots that are not local directories", async () => {
+    const file = path.join(tempDir, "file.txt");
+    await fs.writeFile(file, "");
+
+    const { directories, ignored } = await clientRootsToDirectories([
+      { uri: "https://example.com/repo" },
+      root(file),
+      root(path.join(tempDir, "missing")),
+      root(tempDir),
+    ]);
+
+    expect(directories.map((dir) => dir.path)).toEqual([tempDir]);
+    expect(ignored).toEqual([
+      { uri: "https://example.com/repo", reason: "not a file:// URI" },
+      { uri: pathToFileURL(file).href, reason: "not a directory" },
+      {
+        uri: pathToFileURL(path.join(tempDir, "missing")).href,
+        reason: expect.stringContaining("ENOENT"),
+      },
+    ]);
+  });
+
+  it("drops roots that contain a protected path", async () => {
+    const project = path.join(tempDir, "project");
+    const trash = path.join(tempDir, "trash");
+    await fs.mkdir(project);
+
+    const { directories, ignored } = await clientRootsToDirectories(
+      [root(tempDir), root(project)],
+      { "trash directory": trash }
+    );
+
+    expect(directories.map((dir) => dir.path)).toEqual([project]);
+    expect(ignored).toEqual([
+      {
+        uri: pathToFileURL(tempDir).href,
+        reason: `contains the trash directory ${trash}`,
+      },
+    ]);
+  });
+});
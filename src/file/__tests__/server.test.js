@@ -0,0 +1,329 @@
+import { afterEach, beforeEach, describe, expect, it } from "@jest/globals";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import {
+  ListRootsRequestSchema,
+  ToolListChangedNotificationSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { randomBytes } from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { readAuditEntries } from "../audit-log.js";
+
+const serverPath = fileURLToPath(new URL("../server.js", import.meta.url));
+
+// Runs the server over stdio with its audit log and trash in a scratch
+// directory next to the allowed one
+describe("filesystem server", () => {
+  let tempDir;
+  let allowedDir;
+  let client;
+  let rootsApplied;
+
+  // With `roots`, the client supports the roots protocol and answers
+  // roots/list with them. The server announces a new tool list once it has
+  // applied them, which resolves `rootsApplied`.
+  async function connect(serverArgs = [allowedDir], { roots } = {}) {
+    client = new Client(
+      { name: "server-test", version: "1.0.0" },
+      { capabilities: roots ? { roots: { listChanged: true } } : {} }
+    );
+    if (roots) {
+      client.setRequestHandler(ListRootsRequestSchema, () => ({ roots }));
+      rootsApplied = new Promise((resolve) =>
+        client.setNotificationHandler(
+          ToolListChangedNotificationSchema,
+          resolve
+        )
+      );
+    }
+    await client.connect(
+      new StdioClientTransport({
+        command: process.execPath,
+        args: [
+          serverPath,
+          "--audit-log",
+          path.join(tempDir, "audit.jsonl"),
+          "--trash-dir",
+          path.join(tempDir, "trash"),
+          ...serverArgs,
+        ],
+        stderr: "ignore",
+      })
+    );
+    return client;
+  }
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "server-"))
+    );
+    allowedDir = path.join(tempDir, "allowed");
+    await fs.mkdir(allowedDir);
+  });
+
+  afterEach(async () => {
+    await client?.close();
+    client = undefined;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  async function allowedDirectoriesText() {
+    const result = await client.callTool({
+      name: "list_allowed_directories",
+      arguments: {},
+    });
+    return result.content[0].text;
+  }
+
+  describe("roots", () => {
+    it("uses the command line directories when the client has no roots capability", async () => {
+      await connect();
+      expect(await allowedDirectoriesText()).toBe(
+        `Allowed directories:\n${allowedDir} (command line)`
+      );
+    });
+
+    it("replaces the command line directories with the client's roots", async () => {
+      const clientDir = path.join(tempDir, "client");
+      await fs.mkdir(clientDir);
+      await fs.writeFile(path.join(allowedDir, "cli.txt"), "cli");
+
+      await connect([allowedDir], {
+        roots: [
+          { uri: pathToFileURL(clientDir).href, name: "Client" },
+          { uri: pathToFileURL(path.join(tempDir, "missing")).href },
+        ],
+      });
+      await rootsApplied;
+
+      expect(await allowedDirectoriesText()).toBe(
+        `Allowed directories:\n${clientDir} (client root: Client)`
+      );
+      const result = await client.callTool({
+        name: "read_file",
+        arguments: { path: path.join(allowedDir, "cli.txt") },
+      });
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("Access denied");
+    });
+
+    it("falls back to the command line directories when no root is usable", async () => {
+      await connect([allowedDir], {
+        roots: [{ uri: pathToFileURL(path.join(tempDir, "missing")).href }],
+      });
+      await rootsApplied;
+      expect(await allowedDirectoriesText()).toBe(
+        `Allowed directories:\n${allowedDir} (command line)`
+      );
+    });
+  });
+
+  describe("structured output", () => {
+    // The SDK client validates structuredContent against the outputSchema
+    // from tools/list and throws when they disagree
+    it("matches the output schema of every tool that declares one", async () => {
+      const source = path.join(allowedDir, "src", "greet.js");
+      await fs.mkdir(path.dirname(source));
+      await fs.writeFile(
+        source,
+        [
+          "export class Greeter {",
+          "  greet(name) {",
+          "    return `Hello, ${name}`;",
+          "  }",
+          "}",
+          "",
+          "export function greet(name) {",
+          "  return new Greeter().greet(name);",
+          "}",
+          "",
+        ].join("\n")
+      );
+      await fs.writeFile(path.join(allowedDir, "notes.txt"), "notes\n");
+      await connect();
+
+      const calls = {
+        edit_file: {
+          path: source,
+          edits: [{ oldText: "Hello", newText: "Hi" }],
+          dryRun: true,
+        },
+        list_directory: { path: allowedDir },
+        list_directory_with_sizes: { path: allowedDir },
+        directory_tree: { path: allowedDir },
+        search_files: { path: allowedDir, pattern: "greet" },
+        file_outline: { path: source },
+        find_symbol: { path: allowedDir, name: "greet" },
+        get_file_info: { path: source },
+      };
+      const { tools } = await client.listTools();
+      expect(
+        tools
+          .filter((tool) => tool.outputSchema)
+          .map((tool) => tool.name)
+          .sort()
+      ).toEqual(Object.keys(calls).sort());
+
+      for (const [name, args] of Object.entries(calls)) {
+        const result = await client.callTool({ name, arguments: args });
+        expect([name, result.isError]).toEqual([name, undefined]);
+        expect(result.structuredContent).toBeDefined();
+      }
+    });
+  });
+
+  describe("long-running operations", () => {
+    async function writeFiles(count) {
+      for (let i = 0; i < count; i++) {
+        await fs.writeFile(path.join(allowedDir, `file-${i}.txt`), `${i}\n`);
+      }
+    }
+
+    it("reports progress while walking", async () => {
+      await writeFiles(5);
+      await connect();
+
+      const progress = [];
+      const result = await client.callTool(
+        {
+          name: "search_files",
+          arguments: { path: allowedDir, pattern: "file" },
+        },
+        undefined,
+        { onprogress: (notification) => progress.push(notification) }
+      );
+
+      expect(result.structuredContent.matches).toHaveLength(5);
+      expect(progress[0]).toMatchObject({
+        progress: 1,
+        message: "1 entries scanned",
+      });
+    });
+
+    it("returns partial results from walks and fails reads after the timeout", async () => {
+      await writeFiles(200);
+      const bigFile = path.join(tempDir, "allowed-big", "big.bin");
+      await fs.mkdir(path.dirname(bigFile));
+      await fs.writeFile(bigFile, Buffer.alloc(16 * 1024 * 1024, "x"));
+      await connect(["--tool-timeout", "1", allowedDir, path.dirname(bigFile)]);
+
+      const search = await client.callTool({
+        name: "search_files",
+        arguments: { path: allowedDir, pattern: "file" },
+      });
+      expect(search.isError).toBeUndefined();
+      expect(search.structuredContent.stopped).toBe("timeout");
+      expect(search.structuredContent.matches.length).toBeLessThan(200);
+
+      for (const [name, args] of [
+        ["read_file", { path: bigFile }],
+        ["hash_file", { path: bigFile }],
+        ["diff_files", { original: bigFile, modified: bigFile }],
+      ]) {
+        const result = await client.callTool({ name, arguments: args });
+        expect([name, result.content[0].text]).toEqual([
+          name,
+          "Error: Stopped after the 1 ms tool timeout",
+        ]);
+      }
+    });
+
+    it("does not write an archive when the request is cancelled", async () => {
+      await fs.writeFile(
+        path.join(allowedDir, "random.bin"),
+        randomBytes(4 * 1024 * 1024)
+      );
+      await connect();
+      const archivePath = path.join(allowedDir, "out.tar.gz");
+
+      const controller = new AbortController();
+      const call = client.callTool(
+        {
+          name: "create_archive",
+          arguments: { path: archivePath, sources: [allowedDir] },
+        },
+        undefined,
+        { signal: controller.signal }
+      );
+      controller.abort();
+      await expect(call).rejects.toThrow();
+
+      // The rejected call is audited once the server has stopped
+      const auditLog = path.join(tempDir, "audit.jsonl");
+      let entries = [];
+      for (let i = 0; i < 50 && entries.length === 0; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        entries = await readAuditEntries(auditLog);
+      }
+      expect(entries).toMatchObject([
+        {
+          tool: "create_archive",
+          outcome: "error",
+          error: "Stopped because the request was cancelled",
+        },
+      ]);
+      await expect(fs.lstat(archivePath)).rejects.toThrow("ENOENT");
+    });
+  });
+
+  describe("archives", () => {
+    it("refuses archives larger than the limit before reading them", async () => {
+      const archivePath = path.join(allowedDir, "big.tar");
+      await fs.writeFile(archivePath, Buffer.alloc(10 * 1024));
+      await connect(["--max-archive-bytes", "4096", allowedDir]);
+
+      for (const name of ["list_archive", "extract_archive"]) {
+        const result = await client.callTool({
+          name,
+          arguments: {
+            path: archivePath,
+            destination: path.join(allowedDir, "out"),
+          },
+        });
+        expect(result.isError).toBe(true);
+        expect(result.content[0].text).toContain(
+          "Archive is too large: 10.00 KB exceeds the limit of 4.00 KB"
+        );
+      }
+    });
+  });
+
+  describe("batch_edit", () => {
+    it("changes no file when a later edit fails to match", async () => {
+      const files = ["a.txt", "b.txt", "c.txt"].map((name) =>
+        path.join(allowedDir, name)
+      );
+      for (const file of files) {
+        await fs.writeFile(file, `${path.basename(file)}: old\n`);
+      }
+      await connect();
+
+      const result = await client.callTool({
+        name: "batch_edit",
+        arguments: {
+          files: [
+            ...files.map((file) => ({
+              path: file,
+              edits: [{ oldText: "old", newText: "new" }],
+            })),
+            { path: files[1], edits: [{ oldText: "missing", newText: "x" }] },
+          ],
+        },
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain(
+        "Batch edit failed, no files were changed"
+      );
+      expect(result.content[0].text).toContain(files[1]);
+      for (const file of files) {
+        await expect(fs.readFile(file, "utf-8")).resolves.toBe(
+          `${path.basename(file)}: old\n`
+        );
+      }
+    });
+  });
+});
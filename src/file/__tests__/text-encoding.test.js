@@ -0,0 +1,48 @@
+import { describe, expect, it } from "@jest/globals";
+import iconv from "iconv-lite";
+import { decodeText, encodeText } from "../text-encoding.js";
+
+describe("decodeText", () => {
+  it("detects the BOM, line endings and final newline", () => {
+    const { text, format } = decodeText(
+      Buffer.from("\uFEFFone\r\ntwo\r\nthree", "utf-8")
+    );
+    expect(text).toBe("one\r\ntwo\r\nthree");
+    expect(format).toEqual({
+      encoding: "utf-8",
+      bom: true,
+      eol: "\r\n",
+      finalNewline: false,
+    });
+  });
+
+  it("decodes GBK and flags bytes that are not valid in the encoding", () => {
+    const gbk = iconv.encode("中文\n", "gbk");
+    expect(decodeText(gbk, "gbk")).toMatchObject({
+      text: "中文\n",
+      lossless: true,
+    });
+    expect(decodeText(gbk, "utf-8").lossless).toBe(false);
+  });
+});
+
+describe("encodeText", () => {
+  it("restores the original format of LF-normalized text", () => {
+    const { format } = decodeText(Buffer.from("\uFEFFa\r\nb\r\n", "utf-8"));
+    expect(encodeText("a\nb\nc", format)).toEqual(
+      Buffer.from("\uFEFFa\r\nb\r\nc\r\n", "utf-8")
+    );
+  });
+
+  it("writes text unchanged when no line ending is given", () => {
+    expect(encodeText("a\r\nb", { encoding: "utf-16le" })).toEqual(
+      Buffer.from("a\r\nb", "utf16le")
+    );
+  });
+
+  it("rejects characters the encoding cannot represent", () => {
+    expect(() => encodeText("😀", { encoding: "gbk" })).toThrow(
+      "cannot be written as gbk"
+    );
+  });
+});
@@ -0,0 +1,43 @@
+import { afterEach, beforeEach, describe, expect, it } from "@jest/globals";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { resolveAllowedEntryPath } from "../path-validation.js";
+import { listTrash, moveToTrash, restoreTrashEntry } from "../trash.js";
+
+describe("moveToTrash", () => {
+  let tempDir;
+  let allowedDir;
+  let trashDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(
+      await fs.mkdtemp(path.join(os.tmpdir(), "trash-"))
+    );
+    allowedDir = path.join(tempDir, "app");
+    trashDir = path.join(tempDir, "trash");
+    await fs.mkdir(allowedDir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it("deletes a symlink without touching its target", async () => {
+    const targetPath = path.join(tempDir, "outside.txt");
+    const linkPath = path.join(allowedDir, "link");
+    await fs.writeFile(targetPath, "keep me");
+    await fs.symlink(targetPath, linkPath);
+
+    const { resolved } = await resolveAllowedEntryPath(linkPath, [allowedDir]);
+    const entry = await moveToTrash(trashDir, resolved);
+
+    expect(entry).toMatchObject({ originalPath: linkPath, type: "file" });
+    await expect(fs.lstat(linkPath)).rejects.toThrow("ENOENT");
+    await expect(fs.readFile(targetPath, "utf-8")).resolves.toBe("keep me");
+
+    await restoreTrashEntry(trashDir, entry, linkPath);
+    await expect(fs.readlink(linkPath)).resolves.toBe(targetPath);
+    await expect(listTrash(trashDir)).resolves.toEqual([]);
+  });
+});
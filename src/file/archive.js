@@ -0,0 +1,584 @@
+import path from "path";
+import { promisify } from "util";
+import zlib from "zlib";
+import { isPathWithinDirectory } from "./path-validation.js";
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const deflateRaw = promisify(zlib.deflateRaw);
+const inflateRaw = promisify(zlib.inflateRaw);
+
+// Archives are handled in memory, so the total size of the files in one is
+// capped. A small archive can expand enormously ("zip bomb"), so the cap is
+// checked against the declared sizes before anything is decompressed and
+// enforced again while decompressing.
+export const DEFAULT_MAX_ARCHIVE_BYTES = 100 * 1024 * 1024;
+
+function archiveTooLarge(maxBytes) {
+  return new Error(
+    `Archive is too large: its contents exceed the limit of ${maxBytes} bytes`
+  );
+}
+
+// Decompress, throwing `tooLarge()` once the output would grow past maxBytes
+async function decompress(method, data, maxBytes, tooLarge) {
+  try {
+    return await method(data, { maxOutputLength: Math.max(maxBytes, 1) });
+  } catch (error) {
+    throw error.code === "ERR_BUFFER_TOO_LARGE" ? tooLarge() : error;
+  }
+}
+
+// Archives are handled in memory as lists of entries:
+// { name, type: "file" | "directory" | "symlink" | "other", size, mode,
+//   mtime, linkname, getData() }
+// where name is a relative path with forward slashes.
+
+export function archiveFormat(filePath) {
+  const lower = filePath.toLowerCase();
+  if (lower.endsWith(".tar.gz") || lower.endsWith(".tgz")) return "tar.gz";
+  if (lower.endsWith(".tar")) return "tar";
+  if (lower.endsWith(".zip")) return "zip";
+  throw new Error(
+    `Unsupported archive type: ${path.basename(filePath)} (use .tar, .tar.gz, .tgz or .zip)`
+  );
+}
+
+// Resolve an entry name inside targetDir, rejecting names that would land
+// outside it ("zip slip")
+export function resolveEntryPath(targetDir, name) {
+  const relativePath = name.replace(/\\/g, "/");
+  if (
+    relativePath.startsWith("/") ||
+    /^[a-zA-Z]:/.test(relativePath) ||
+    relativePath.includes("\0")
+  ) {
+    throw new Error(`Archive entry has an absolute path: ${name}`);
+  }
+  const resolved = path.resolve(targetDir, ...relativePath.split("/"));
+  if (!isPathWithinDirectory(resolved, targetDir)) {
+    throw new Error(`Archive entry escapes the target directory: ${name}`);
+  }
+  return resolved;
+}
+
+// Entries are checked against the target directory by name alone, which only
+// holds while no entry relies on a symlink created by the same archive. A
+// chain such as y -> ".", x -> "y/..", z -> "x/.." passes every check, yet
+// z/file lands outside the target directory. Report entries placed under a
+// symlink entry and symlinks whose target passes through one.
+export function findSymlinkEntryProblems(targetDir, entries) {
+  const resolvedEntries = entries.flatMap((entry) => {
+    try {
+      return [{ entry, target: resolveEntryPath(targetDir, entry.name) }];
+    } catch {
+      return []; // reported when the entry itself is checked
+    }
+  });
+  const linkPaths = new Set(
+    resolvedEntries
+      .filter(({ entry }) => entry.type === "symlink")
+      .map(({ target }) => target)
+  );
+  const problems = [];
+
+  for (const { entry, target } of resolvedEntries) {
+    for (
+      let dir = path.dirname(target);
+      dir !== targetDir && isPathWithinDirectory(dir, targetDir);
+      dir = path.dirname(dir)
+    ) {
+      if (linkPaths.has(dir)) {
+        problems.push(
+          `Archive entry is inside a symlink entry: ${entry.name} (${path.relative(targetDir, dir)} is a symlink)`
+        );
+        break;
+      }
+    }
+
+    if (entry.type !== "symlink") {
+      continue;
+    }
+    const linkname = entry.linkname.replace(/\\/g, "/");
+    for (
+      let index = linkname.indexOf("/");
+      index !== -1;
+      index = linkname.indexOf("/", index + 1)
+    ) {
+      const passedThrough = path.resolve(
+        path.dirname(target),
+        linkname.slice(0, index + 1)
+      );
+      if (linkPaths.has(passedThrough)) {
+        problems.push(
+          `Archive entry is a symlink whose target passes through another symlink entry: ${entry.name} -> ${entry.linkname}`
+        );
+        break;
+      }
+    }
+  }
+  return problems;
+}
+
+// Tar (ustar, with GNU long names and pax path headers when reading)
+const BLOCK_SIZE = 512;
+
+function readString(buffer, offset, length) {
+  const field = buffer.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString("utf-8");
+}
+
+function readOctal(buffer, offset, length) {
+  const text = readString(buffer, offset, length).trim();
+  return text === "" ? 0 : parseInt(text, 8);
+}
+
+function parsePaxHeaders(data) {
+  const headers = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.subarray(offset, space).toString(), 10);
+    if (space === -1 || !(length > 0)) break;
+    const record = data
+      .subarray(space + 1, offset + length - 1)
+      .toString("utf-8");
+    const equals = record.indexOf("=");
+    headers[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return headers;
+}
+
+const TAR_TYPES = {
+  0: "file",
+  "": "file",
+  7: "file",
+  5: "directory",
+  2: "symlink",
+};
+
+function parseTar(buffer) {
+  const entries = [];
+  let offset = 0;
+  let longName;
+  let longLink;
+  let pax = {};
+
+  while (offset + BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+    const size = readOctal(header, 124, 12);
+    const typeflag = readString(header, 156, 1);
+    const dataStart = offset + BLOCK_SIZE;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    if (typeflag === "L") {
+      longName = readString(data, 0, data.length);
+      continue;
+    }
+    if (typeflag === "K") {
+      longLink = readString(data, 0, data.length);
+      continue;
+    }
+    if (typeflag === "x") {
+      pax = parsePaxHeaders(data);
+      continue;
+    }
+    if (typeflag === "g") {
+      continue;
+    }
+
+    const prefix =
+      readString(header, 257, 6) === "ustar"
+        ? readString(header, 345, 155)
+        : "";
+    const name =
+      pax.path ??
+      longName ??
+      (prefix ? `${prefix}/` : "") + readString(header, 0, 100);
+    const type = TAR_TYPES[typeflag] ?? "other";
+    entries.push({
+      name: type === "directory" ? name.replace(/\/+$/, "") : name,
+      type,
+      size: type === "file" ? size : 0,
+      mode: readOctal(header, 100, 8),
+      mtime: new Date(readOctal(header, 136, 12) * 1000),
+      linkname: pax.linkpath ?? longLink ?? readString(header, 157, 100),
+      getData: async () => data,
+    });
+    longName = undefined;
+    longLink = undefined;
+    pax = {};
+  }
+  return entries;
+}
+
+function writeString(header, value, offset, length) {
+  header.write(value, offset, length, "utf-8");
+}
+
+function writeOctal(header, value, offset, length) {
+  header.write(
+    `${value.toString(8).padStart(length - 1, "0")}\0`,
+    offset,
+    length,
+    "ascii"
+  );
+}
+
+function tarHeader({ name, type, size, mode, mtime, linkname = "" }) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  writeString(header, name, 0, 100);
+  writeOctal(header, mode & 0o7777, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.write(type, 156, 1, "ascii");
+  writeString(header, linkname, 157, 100);
+  header.write("ustar\0", 257, 6, "ascii");
+  header.write("00", 263, 2, "ascii");
+
+  // The checksum is computed with its own field filled with spaces
+  header.fill(0x20, 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, "0")}\0 `, 148, 8, "ascii");
+  return header;
+}
+
+function padToBlock(data) {
+  const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+  return padding === 0 ? [data] : [data, Buffer.alloc(padding)];
+}
+
+// Names and link targets that do not fit the 100-byte ustar fields are
+// stored in a pax extended header
+function paxHeader(entry, name) {
+  const records = [];
+  for (const [key, value] of [
+    ["path", name],
+    ["linkpath", entry.linkname ?? ""],
+  ]) {
+    if (Buffer.byteLength(value) < 100) continue;
+    // Each record starts with its own length, digits included
+    const body = ` ${key}=${value}\n`;
+    let length = Buffer.byteLength(body);
+    while (length !== Buffer.byteLength(body) + String(length).length) {
+      length = Buffer.byteLength(body) + String(length).length;
+    }
+    records.push(`${length}${body}`);
+  }
+  if (records.length === 0) {
+    return [];
+  }
+  const data = Buffer.from(records.join(""), "utf-8");
+  return [
+    tarHeader({
+      name: "PaxHeader",
+      type: "x",
+      size: data.length,
+      mode: 0o644,
+      mtime: entry.mtime,
+    }),
+    ...padToBlock(data),
+  ];
+}
+
+async function buildTar(entries) {
+  const blocks = [];
+  for (const entry of entries) {
+    const name = entry.type === "directory" ? `${entry.name}/` : entry.name;
+    const data =
+      entry.type === "file" ? await entry.getData() : Buffer.alloc(0);
+    blocks.push(
+      ...paxHeader(entry, name),
+      tarHeader({
+        name: Buffer.byteLength(name) < 100 ? name : name.slice(-99),
+        type: { file: "0", directory: "5", symlink: "2" }[entry.type],
+        size: data.length,
+        mode: entry.mode,
+        mtime: entry.mtime,
+        linkname: entry.linkname,
+      }),
+      ...padToBlock(data)
+    );
+  }
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return Buffer.concat(blocks);
+}
+
+// Zip (stored and deflated entries, no zip64 or encryption)
+const LOCAL_FILE_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const UTF8_NAMES_FLAG = 0x800;
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+const S_IFDIR = 0o040000;
+
+// zlib.crc32 only exists from Node 20.15, so compute CRC-32 with a table
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function fromDosDateTime(date, time) {
+  return new Date(
+    (date >> 9) + 1980,
+    ((date >> 5) & 0xf) - 1,
+    date & 0x1f,
+    time >> 11,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2
+  );
+}
+
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+  };
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes followed by a comment of up to 65535 bytes
+  const earliest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= earliest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      return offset;
+    }
+  }
+  throw new Error("Not a zip archive: end of central directory not found");
+}
+
+async function parseZip(buffer, maxBytes) {
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error("Zip64 archives are not supported");
+  }
+
+  const entries = [];
+  let totalSize = 0;
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error("Corrupt zip archive: bad central directory entry");
+    }
+    const madeBy = buffer.readUInt16LE(offset + 4) >> 8;
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const mtime = fromDosDateTime(
+      buffer.readUInt16LE(offset + 14),
+      buffer.readUInt16LE(offset + 12)
+    );
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const externalAttributes = buffer.readUInt32LE(offset + 38);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const rawName = buffer.subarray(offset + 46, offset + 46 + nameLength);
+    const name = rawName.toString(flags & UTF8_NAMES_FLAG ? "utf-8" : "latin1");
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    totalSize += size;
+    if (totalSize > maxBytes) {
+      throw archiveTooLarge(maxBytes);
+    }
+
+    // Unix permissions live in the high 16 bits when made on Unix (3)
+    const unixMode = madeBy === 3 ? externalAttributes >>> 16 : 0;
+    const type = name.endsWith("/")
+      ? "directory"
+      : (unixMode & S_IFMT) === S_IFLNK
+        ? "symlink"
+        : "file";
+
+    const getData = async () => {
+      if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_SIGNATURE) {
+        throw new Error(`Corrupt zip archive: bad local header for ${name}`);
+      }
+      const dataStart =
+        localOffset +
+        30 +
+        buffer.readUInt16LE(localOffset + 26) +
+        buffer.readUInt16LE(localOffset + 28);
+      const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (flags & 0x1) {
+        throw new Error(`Encrypted zip entries are not supported: ${name}`);
+      }
+      let data;
+      if (method === 0) {
+        data = compressed;
+      } else if (method === 8) {
+        // Never inflate past the declared size, which was checked above
+        data = await decompress(
+          inflateRaw,
+          compressed,
+          size,
+          () =>
+            new Error(
+              `Corrupt zip archive: ${name} is larger than its declared size`
+            )
+        );
+      } else {
+        throw new Error(
+          `Unsupported zip compression method ${method} for ${name}`
+        );
+      }
+      if (data.length !== size) {
+        throw new Error(`Corrupt zip archive: size mismatch for ${name}`);
+      }
+      if (crc32(data) !== crc) {
+        throw new Error(`Corrupt zip archive: CRC mismatch for ${name}`);
+      }
+      return data;
+    };
+
+    const entry = {
+      name: name.replace(/\/+$/, ""),
+      type,
+      size: type === "file" ? size : 0,
+      mode: unixMode & 0o7777,
+      mtime,
+      linkname: "",
+      getData,
+    };
+    if (type === "symlink") {
+      entry.linkname = (await getData()).toString("utf-8");
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+async function buildZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(
+      entry.type === "directory" ? `${entry.name}/` : entry.name,
+      "utf-8"
+    );
+    const data =
+      entry.type === "file"
+        ? await entry.getData()
+        : entry.type === "symlink"
+          ? Buffer.from(entry.linkname, "utf-8")
+          : Buffer.alloc(0);
+    const deflated = data.length > 0 ? await deflateRaw(data) : data;
+    const method = deflated.length < data.length ? 8 : 0;
+    const stored = method === 8 ? deflated : data;
+    const crc = crc32(data);
+    const { date, time } = toDosDateTime(entry.mtime);
+    const typeBits = { file: 0o100000, directory: S_IFDIR, symlink: S_IFLNK }[
+      entry.type
+    ];
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_SIGNATURE, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_NAMES_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_SIGNATURE, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_NAMES_FLAG, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(
+      (((typeBits | (entry.mode & 0o7777)) << 16) |
+        (entry.type === "directory" ? 0x10 : 0)) >>>
+        0,
+      38
+    );
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, stored);
+    centralParts.push(central, name);
+    offset += local.length + name.length + stored.length;
+  }
+
+  if (entries.length > 0xffff || offset > 0xffffffff) {
+    throw new Error("Archive too large for zip without zip64");
+  }
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// Throws when the files in the archive add up to more than maxBytes
+export async function parseArchive(
+  buffer,
+  format,
+  maxBytes = DEFAULT_MAX_ARCHIVE_BYTES
+) {
+  if (format === "zip") {
+    return parseZip(buffer, maxBytes);
+  }
+  // The tar stream holds headers and padding as well as file data, so allow
+  // for those when limiting how far it may expand
+  const entries = parseTar(
+    format === "tar.gz"
+      ? await decompress(gunzip, buffer, 2 * maxBytes + 1024 * 1024, () =>
+          archiveTooLarge(maxBytes)
+        )
+      : buffer
+  );
+  const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (totalSize > maxBytes) {
+    throw archiveTooLarge(maxBytes);
+  }
+  return entries;
+}
+
+export async function buildArchive(entries, format) {
+  if (format === "zip") {
+    return buildZip(entries);
+  }
+  const tar = await buildTar(entries);
+  return format === "tar.gz" ? gzip(tar) : tar;
+}
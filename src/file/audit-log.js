@@ -0,0 +1,125 @@
+import { createHash } from "crypto";
+import { createReadStream } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { getLogger } from "../shared/logging.js";
+import { isPathWithinDirectory } from "./path-validation.js";
+
+const logger = getLogger("audit-log");
+
+// Appends are chained so that concurrent tool calls never interleave lines
+let pendingWrite = Promise.resolve();
+
+function rotatedLogFile(logFile) {
+  return `${logFile}.1`;
+}
+
+// Hash a file as a stream so that large files are never loaded into memory.
+// Aborting `signal` stops the read with an AbortError.
+export async function hashFile(filePath, algorithm = "sha256", signal) {
+  const hash = createHash(algorithm);
+  for await (const chunk of createReadStream(filePath, { signal })) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+// Describe the current state of a path for an audit entry: size and content
+// hash for files, null when nothing exists there. Symlinks are not followed,
+// since their targets may lie outside the allowed directories.
+export async function snapshotPath(filePath) {
+  let stats;
+  try {
+    stats = await fs.lstat(filePath);
+  } catch {
+    return null;
+  }
+  if (stats.isSymbolicLink()) {
+    return { type: "symlink" };
+  }
+  if (!stats.isFile()) {
+    return { type: stats.isDirectory() ? "directory" : "other" };
+  }
+  return {
+    type: "file",
+    bytes: stats.size,
+    sha256: await hashFile(filePath),
+  };
+}
+
+async function appendLine(logFile, maxBytes, line) {
+  await fs.mkdir(path.dirname(logFile), { recursive: true });
+
+  // Start a fresh log once the current one would grow past maxBytes,
+  // keeping the previous log as <file>.1
+  const stats = await fs.stat(logFile).catch(() => null);
+  if (stats && stats.size + Buffer.byteLength(line) > maxBytes) {
+    await fs.rename(logFile, rotatedLogFile(logFile));
+  }
+  await fs.appendFile(logFile, line, "utf-8");
+}
+
+export function appendAuditEntry(logFile, maxBytes, entry) {
+  const line = `${JSON.stringify({
+    timestamp: new Date().toISOString(),
+    ...entry,
+  })}\n`;
+  pendingWrite = pendingWrite
+    .then(() => appendLine(logFile, maxBytes, line))
+    .catch((error) => {
+      logger.error("Failed to write audit log", { logFile, error });
+    });
+  return pendingWrite;
+}
+
+async function readEntries(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+  return content
+    .split("\n")
+    .filter((line) => line.trim() !== "")
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        // Skip lines truncated by a crash mid-write
+        return [];
+      }
+    });
+}
+
+// Return the most recent entries, oldest first, that touch a path inside
+// `filter.path` and fall within the `since`/`until` time range
+export async function readAuditEntries(logFile, filter = {}) {
+  await pendingWrite;
+  const { path: pathFilter, since, until, limit = 100 } = filter;
+  const sinceTime = since ? Date.parse(since) : -Infinity;
+  const untilTime = until ? Date.parse(until) : Infinity;
+  if (Number.isNaN(sinceTime) || Number.isNaN(untilTime)) {
+    throw new Error("Invalid time range: use ISO 8601 timestamps");
+  }
+
+  const entries = [
+    ...(await readEntries(rotatedLogFile(logFile))),
+    ...(await readEntries(logFile)),
+  ].filter((entry) => {
+    const time = Date.parse(entry.timestamp);
+    if (time < sinceTime || time > untilTime) {
+      return false;
+    }
+    return (
+      !pathFilter ||
+      entry.paths.some((entryPath) =>
+        isPathWithinDirectory(entryPath, pathFilter)
+      )
+    );
+  });
+  return entries.slice(-limit);
+}
@@ -83,6 +83,30 @@ class FileSystemMCPClient {
     }
   }
 
+  // 将 MCP 工具结果转换为聊天消息内容，图片以 data URL 形式发送给支持视觉的模型
+  toChatContent(content) {
+    return content.map((item) => {
+      switch (item.type) {
+        case "text":
+          return { type: "text", text: item.text };
+        case "image":
+          return {
+            type: "image_url",
+            image_url: { url: `data:${item.mimeType};base64,${item.data}` },
+          };
+        case "resource":
+          return {
+            type: "text",
+            text:
+              item.resource.text ??
+              `[Binary resource ${item.resource.uri} (${item.resource.mimeType})]`,
+          };
+        default:
+          return { type: "text", text: `[Unsupported ${item.type} content]` };
+      }
+    });
+  }
+
   async processQuery(query) {
     console.log("Processing query:", query);
     console.log(
@@ -139,7 +163,7 @@ class FileSystemMCPClient {
 
             messages.push({
               role: "user",
-              content: result.content,
+              content: this.toChatContent(result.content),
             });
 
             const response = await this.openai.chat.completions.create({
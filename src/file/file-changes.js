@@ -0,0 +1,55 @@
+import fs from "fs/promises";
+import path from "path";
+import { getLogger } from "../shared/logging.js";
+import { writeFileAtomic } from "./path-validation.js";
+import { encodeText } from "./text-encoding.js";
+import { moveToTrash, restoreTrashEntry } from "./trash.js";
+
+const logger = getLogger("file-changes");
+
+// Write a set of planned changes ({ path, content, previous, format }, where a
+// null content deletes the file, a null previous means it is new and format is
+// passed to encodeText). Deleted files go to `trashDir`. If any write fails,
+// every change already made is rolled back from in-memory backups.
+export async function commitFileChanges(changes, trashDir) {
+  // Encode everything up front so that unencodable content fails before any
+  // file is touched
+  const data = changes.map((change) =>
+    change.content !== null && change.format
+      ? encodeText(change.content, change.format)
+      : change.content
+  );
+  const committed = [];
+  try {
+    for (const [index, change] of changes.entries()) {
+      if (change.content === null) {
+        change.trashEntry = await moveToTrash(trashDir, change.path);
+      } else {
+        if (change.previous !== null) {
+          change.backup = await fs.readFile(change.path);
+        }
+        await fs.mkdir(path.dirname(change.path), { recursive: true });
+        await writeFileAtomic(change.path, data[index]);
+      }
+      committed.push(change);
+    }
+  } catch (error) {
+    for (const change of committed.reverse()) {
+      try {
+        if (change.trashEntry) {
+          await restoreTrashEntry(trashDir, change.trashEntry, change.path);
+        } else if (change.backup) {
+          await writeFileAtomic(change.path, change.backup);
+        } else {
+          await fs.rm(change.path, { force: true });
+        }
+      } catch (rollbackError) {
+        logger.error("Failed to roll back file change", {
+          path: change.path,
+          error: rollbackError,
+        });
+      }
+    }
+    throw error;
+  }
+}
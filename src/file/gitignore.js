@@ -0,0 +1,70 @@
+import fs from "fs/promises";
+import path from "path";
+import { minimatch } from "minimatch";
+
+// Turn the lines of a .gitignore file in `baseDir` into match rules
+export function parseGitignore(content, baseDir) {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, "");
+    if (line === "" || line.startsWith("#")) {
+      continue;
+    }
+
+    const negate = line.startsWith("!");
+    if (negate) {
+      line = line.slice(1);
+    }
+    line = line.replace(/^\\([#!])/, "$1");
+
+    const directoryOnly = line.endsWith("/");
+    if (directoryOnly) {
+      line = line.slice(0, -1);
+    }
+
+    // A slash anywhere but the end anchors the pattern to baseDir; otherwise
+    // it matches at any depth below it
+    const anchored = line.includes("/");
+    const pattern = anchored ? line.replace(/^\//, "") : `**/${line}`;
+
+    rules.push({ baseDir, pattern, negate, directoryOnly });
+  }
+  return rules;
+}
+
+export async function readGitignore(dir) {
+  try {
+    return parseGitignore(
+      await fs.readFile(path.join(dir, ".gitignore"), "utf-8"),
+      dir
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Rules must be ordered from the outermost .gitignore to the innermost; as in
+// git, the last matching rule decides
+export function isIgnored(rules, fullPath, isDirectory) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) {
+      continue;
+    }
+    const relativePath = path
+      .relative(rule.baseDir, fullPath)
+      .split(path.sep)
+      .join("/");
+    if (relativePath.startsWith("..")) {
+      continue;
+    }
+    if (minimatch(relativePath, rule.pattern, { dot: true })) {
+      ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
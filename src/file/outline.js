@@ -0,0 +1,297 @@
+import { parse } from "@babel/parser";
+import path from "path";
+
+// Outlines are lists of symbols:
+// { name, kind, startLine, endLine, exported?, detail?, children? }
+// where kind is one of SYMBOL_KINDS. Imports are named after the module and
+// list the local names in `detail`.
+export const SYMBOL_KINDS = [
+  "import",
+  "export",
+  "function",
+  "class",
+  "method",
+  "property",
+  "variable",
+  "interface",
+  "type",
+  "enum",
+  "namespace",
+];
+
+const PARSER_PLUGINS = {
+  ".js": ["jsx"],
+  ".mjs": ["jsx"],
+  ".cjs": ["jsx"],
+  ".jsx": ["jsx"],
+  ".ts": ["typescript"],
+  ".mts": ["typescript"],
+  ".cts": ["typescript"],
+  ".tsx": ["typescript", "jsx"],
+};
+
+export const OUTLINE_EXTENSIONS = Object.keys(PARSER_PLUGINS);
+
+export function canOutline(filePath) {
+  return OUTLINE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+function propertyName(key, source) {
+  switch (key.type) {
+    case "Identifier":
+      return key.name;
+    case "PrivateName":
+      return `#${key.id.name}`;
+    case "StringLiteral":
+    case "NumericLiteral":
+      return String(key.value);
+    default:
+      return `[${source.slice(key.start, key.end)}]`;
+  }
+}
+
+function isFunctionNode(node) {
+  return (
+    node?.type === "FunctionExpression" ||
+    node?.type === "ArrowFunctionExpression"
+  );
+}
+
+function symbol(node, name, kind, extra = {}) {
+  return {
+    name,
+    kind,
+    startLine: node.loc.start.line,
+    endLine: node.loc.end.line,
+    ...extra,
+  };
+}
+
+// Functions and classes declared inside a function body
+function nestedSymbols(fn, source) {
+  return fn.body?.type === "BlockStatement"
+    ? statementSymbols(fn.body.body, source)
+    : [];
+}
+
+function withChildren(entry, children) {
+  return children.length > 0 ? { ...entry, children } : entry;
+}
+
+function classMembers(classNode, source) {
+  return classNode.body.body.flatMap((member) => {
+    if (!member.key) {
+      return []; // static blocks
+    }
+    const name = propertyName(member.key, source);
+    const modifiers = [
+      member.static && "static",
+      member.kind === "get" || member.kind === "set" ? member.kind : null,
+    ].filter(Boolean);
+    const detail = modifiers.length > 0 ? modifiers.join(" ") : undefined;
+
+    if (
+      member.type === "ClassMethod" ||
+      member.type === "ClassPrivateMethod" ||
+      member.type === "TSDeclareMethod"
+    ) {
+      return [
+        withChildren(
+          symbol(member, name, "method", detail && { detail }),
+          nestedSymbols(member, source)
+        ),
+      ];
+    }
+    if (
+      member.type === "ClassProperty" ||
+      member.type === "ClassPrivateProperty" ||
+      member.type === "ClassAccessorProperty"
+    ) {
+      return isFunctionNode(member.value)
+        ? [
+            withChildren(
+              symbol(member, name, "method", detail && { detail }),
+              nestedSymbols(member.value, source)
+            ),
+          ]
+        : [symbol(member, name, "property", detail && { detail })];
+    }
+    return [];
+  });
+}
+
+// Symbols for a declaration; `outer` is the statement whose lines they span,
+// which includes a leading `export`
+function declarationSymbols(node, source, outer = node, extra = {}) {
+  switch (node.type) {
+    case "FunctionDeclaration":
+    case "TSDeclareFunction":
+      return [
+        withChildren(
+          symbol(outer, node.id?.name ?? "default", "function", extra),
+          nestedSymbols(node, source)
+        ),
+      ];
+    case "ClassDeclaration":
+      return [
+        withChildren(
+          symbol(outer, node.id?.name ?? "default", "class", extra),
+          classMembers(node, source)
+        ),
+      ];
+    case "VariableDeclaration":
+      return node.declarations.flatMap((declarator) => {
+        const { id, init } = declarator;
+        if (id.type !== "Identifier") {
+          return [];
+        }
+        const span = node.declarations.length === 1 ? outer : declarator;
+        if (isFunctionNode(init)) {
+          return [
+            withChildren(
+              symbol(span, id.name, "function", extra),
+              nestedSymbols(init, source)
+            ),
+          ];
+        }
+        if (init?.type === "ClassExpression") {
+          return [
+            withChildren(
+              symbol(span, id.name, "class", extra),
+              classMembers(init, source)
+            ),
+          ];
+        }
+        // Other variables are only interesting as part of a module's API
+        return extra.exported
+          ? [symbol(span, id.name, "variable", { ...extra, detail: node.kind })]
+          : [];
+      });
+    case "TSInterfaceDeclaration":
+      return [symbol(outer, node.id.name, "interface", extra)];
+    case "TSTypeAliasDeclaration":
+      return [symbol(outer, node.id.name, "type", extra)];
+    case "TSEnumDeclaration":
+      return [symbol(outer, node.id.name, "enum", extra)];
+    case "TSModuleDeclaration": {
+      let body = node.body;
+      const names = [propertyName(node.id, source)];
+      // namespace A.B {} nests one declaration per name
+      while (body?.type === "TSModuleDeclaration") {
+        names.push(propertyName(body.id, source));
+        body = body.body;
+      }
+      return [
+        withChildren(
+          symbol(outer, names.join("."), "namespace", extra),
+          body ? statementSymbols(body.body, source) : []
+        ),
+      ];
+    }
+    default:
+      return [];
+  }
+}
+
+function statementSymbols(statements, source) {
+  return statements.flatMap((statement) => {
+    switch (statement.type) {
+      case "ImportDeclaration": {
+        const names = statement.specifiers.map((specifier) =>
+          specifier.type === "ImportNamespaceSpecifier"
+            ? `* as ${specifier.local.name}`
+            : specifier.local.name
+        );
+        return [
+          symbol(
+            statement,
+            statement.source.value,
+            "import",
+            names.length > 0 ? { detail: names.join(", ") } : {}
+          ),
+        ];
+      }
+      case "ExportNamedDeclaration":
+        if (statement.declaration) {
+          return declarationSymbols(statement.declaration, source, statement, {
+            exported: true,
+          });
+        }
+        return statement.specifiers.map((specifier) =>
+          symbol(
+            statement,
+            propertyName(specifier.exported, source),
+            "export",
+            statement.source ? { detail: `from ${statement.source.value}` } : {}
+          )
+        );
+      case "ExportAllDeclaration":
+        return [
+          symbol(statement, "*", "export", {
+            detail: `from ${statement.source.value}`,
+          }),
+        ];
+      case "ExportDefaultDeclaration": {
+        const { declaration } = statement;
+        const declared = declarationSymbols(declaration, source, statement, {
+          exported: true,
+        });
+        if (declared.length > 0) {
+          return declared;
+        }
+        return [
+          withChildren(
+            symbol(
+              statement,
+              "default",
+              isFunctionNode(declaration) ? "function" : "variable",
+              { exported: true }
+            ),
+            isFunctionNode(declaration)
+              ? nestedSymbols(declaration, source)
+              : []
+          ),
+        ];
+      }
+      default:
+        return declarationSymbols(statement, source);
+    }
+  });
+}
+
+// Parse JavaScript or TypeScript source and list its symbols. Errors the
+// parser can recover from, such as duplicate declarations, are ignored.
+export function parseOutline(source, filePath) {
+  const plugins = PARSER_PLUGINS[path.extname(filePath).toLowerCase()];
+  if (!plugins) {
+    throw new Error(
+      `Cannot outline ${path.basename(filePath)}: supported extensions are ${OUTLINE_EXTENSIONS.join(
+        ", "
+      )}`
+    );
+  }
+
+  let ast;
+  try {
+    ast = parse(source, {
+      sourceType: "unambiguous",
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      plugins: [...plugins, "decorators-legacy"],
+    });
+  } catch (error) {
+    throw new Error(`Cannot parse ${filePath}: ${error.message}`);
+  }
+  return statementSymbols(ast.program.body, source);
+}
+
+// Flatten an outline, giving each symbol the dotted name of its parents
+export function flattenOutline(symbols, container) {
+  return symbols.flatMap(({ children = [], ...entry }) => [
+    container ? { ...entry, container } : entry,
+    ...flattenOutline(
+      children,
+      container ? `${container}.${entry.name}` : entry.name
+    ),
+  ]);
+}
@@ -0,0 +1,142 @@
+import { applyPatch, parsePatch } from "diff";
+
+function stripPrefix(fileName, prefix) {
+  return fileName.startsWith(prefix) ? fileName.slice(prefix.length) : fileName;
+}
+
+// Convert the file names of a parsed diff to paths, null standing for
+// /dev/null, and drop git's a/ and b/ prefixes
+function toFilePatch(parsed, gitHeader = {}) {
+  let oldPath = gitHeader.renameFrom ?? parsed.oldFileName ?? gitHeader.oldPath;
+  let newPath = gitHeader.renameTo ?? parsed.newFileName ?? gitHeader.newPath;
+  if (oldPath === "/dev/null" || gitHeader.newFile) {
+    oldPath = null;
+  }
+  if (newPath === "/dev/null" || gitHeader.deletedFile) {
+    newPath = null;
+  }
+  if (!gitHeader.renameFrom && oldPath) {
+    oldPath = stripPrefix(oldPath, "a/");
+  }
+  if (!gitHeader.renameTo && newPath) {
+    newPath = stripPrefix(newPath, "b/");
+  }
+  return { oldPath, newPath, hunks: parsed.hunks ?? [] };
+}
+
+// Parse a unified diff touching any number of files. Git extended headers are
+// understood, so renames without content changes, new files and deleted files
+// are all reported.
+export function parseMultiFilePatch(patchText) {
+  const text = patchText.replace(/\r\n/g, "\n");
+
+  if (!/^diff --git /m.test(text)) {
+    return parsePatch(text)
+      .filter((parsed) => parsed.oldFileName || parsed.newFileName)
+      .map((parsed) => toFilePatch(parsed));
+  }
+
+  return text
+    .split(/^(?=diff --git )/m)
+    .filter((section) => section.startsWith("diff --git "))
+    .map((section) => {
+      const lines = section.split("\n");
+      const header = {};
+      const names = lines[0].match(/^diff --git a\/(.+) b\/(.+)$/);
+      if (names) {
+        [, header.oldPath, header.newPath] = names;
+      }
+      for (const line of lines) {
+        if (line.startsWith("@@") || line.startsWith("--- ")) break;
+        if (line.startsWith("rename from ")) {
+          header.renameFrom = line.slice("rename from ".length);
+        } else if (line.startsWith("rename to ")) {
+          header.renameTo = line.slice("rename to ".length);
+        } else if (line.startsWith("new file mode")) {
+          header.newFile = true;
+        } else if (line.startsWith("deleted file mode")) {
+          header.deletedFile = true;
+        }
+      }
+      const [parsed = {}] = parsePatch(section);
+      return toFilePatch(parsed, header);
+    });
+}
+
+// Drop up to `fuzz` context lines from each end of a hunk, as GNU patch does
+// when a hunk does not apply with its full context
+function trimHunkContext(hunk, fuzz) {
+  let leading = 0;
+  while (leading < fuzz && hunk.lines[leading]?.startsWith(" ")) {
+    leading++;
+  }
+  let trailing = 0;
+  while (
+    trailing < fuzz &&
+    hunk.lines.length - trailing - 1 > leading &&
+    hunk.lines[hunk.lines.length - trailing - 1].startsWith(" ")
+  ) {
+    trailing++;
+  }
+  const end = hunk.lines.length - trailing;
+  return {
+    ...hunk,
+    oldStart: hunk.oldStart + leading,
+    newStart: hunk.newStart + leading,
+    oldLines: hunk.oldLines - leading - trailing,
+    newLines: hunk.newLines - leading - trailing,
+    lines: hunk.lines.slice(leading, end),
+    linedelimiters: hunk.linedelimiters?.slice(leading, end),
+  };
+}
+
+// Trailing whitespace differences never stop a line from matching
+function compareLine(lineNumber, line, operation, patchContent) {
+  return line !== undefined && line.trimEnd() === patchContent.trimEnd();
+}
+
+export function formatHunkHeader(hunk) {
+  return `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+}
+
+// Apply hunks one at a time so that each failing hunk can be reported. A hunk
+// may apply away from its stated position, and with up to `fuzz` lines of
+// context ignored at either end.
+export function applyHunks(content, hunks, fuzz = 0) {
+  const failures = [];
+  const notes = [];
+  let result = content;
+  let delta = 0;
+
+  hunks.forEach((hunk, index) => {
+    for (let level = 0; level <= fuzz; level++) {
+      const trimmed = trimHunkContext(hunk, level);
+      if (level > 0 && trimmed.lines.length === hunk.lines.length) {
+        break;
+      }
+      const attempt = { ...trimmed, oldStart: trimmed.oldStart + delta };
+      const applied = applyPatch(result, { hunks: [attempt] }, { compareLine });
+      if (applied === false) {
+        continue;
+      }
+
+      result = applied;
+      delta += attempt.offset + hunk.newLines - hunk.oldLines;
+      if (attempt.offset !== 0 || level > 0) {
+        notes.push(
+          `hunk #${index + 1} applied` +
+            (attempt.offset !== 0
+              ? ` at offset ${attempt.offset > 0 ? "+" : ""}${attempt.offset}`
+              : "") +
+            (level > 0 ? ` with fuzz ${level}` : "")
+        );
+      }
+      return;
+    }
+    failures.push(
+      `hunk #${index + 1} ${formatHunkHeader(hunk)} does not apply`
+    );
+  });
+
+  return { content: result, failures, notes };
+}
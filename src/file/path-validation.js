@@ -0,0 +1,183 @@
+import { randomBytes } from "crypto";
+import { constants as fsConstants } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+
+// Windows and macOS file systems are case-insensitive by default
+export const CASE_INSENSITIVE_PATHS =
+  process.platform === "win32" || process.platform === "darwin";
+
+// Normalize all paths consistently
+export function normalizePath(p) {
+  return path.normalize(p);
+}
+
+export function expandHome(filepath) {
+  if (filepath.startsWith("~/") || filepath === "~") {
+    return path.join(os.homedir(), filepath.slice(1));
+  }
+  return filepath;
+}
+
+// Resolve to an absolute path without trailing separators, folding case
+// where the file system ignores it
+function toComparablePath(p, caseInsensitive) {
+  const resolved = path.resolve(p);
+  return caseInsensitive ? resolved.toLowerCase() : resolved;
+}
+
+// Compare whole path segments, so that /data/app does not contain /data/app-secrets
+export function isPathWithinDirectory(
+  filePath,
+  dir,
+  caseInsensitive = CASE_INSENSITIVE_PATHS
+) {
+  const target = toComparablePath(filePath, caseInsensitive);
+  const base = toComparablePath(dir, caseInsensitive);
+  if (target === base) {
+    return true;
+  }
+  const prefix = base.endsWith(path.sep) ? base : base + path.sep;
+  return target.startsWith(prefix);
+}
+
+export function isPathWithinAllowedDirectories(
+  filePath,
+  allowedDirectories,
+  caseInsensitive = CASE_INSENSITIVE_PATHS
+) {
+  return allowedDirectories.some((dir) =>
+    isPathWithinDirectory(filePath, dir, caseInsensitive)
+  );
+}
+
+function toAllowedAbsolutePath(requestedPath, allowedDirectories) {
+  if (requestedPath.includes("\0")) {
+    throw new Error("Access denied - path contains a null byte");
+  }
+
+  const expandedPath = expandHome(requestedPath);
+  const absolute = normalizePath(
+    path.isAbsolute(expandedPath)
+      ? path.resolve(expandedPath)
+      : path.resolve(process.cwd(), expandedPath)
+  );
+
+  if (!isPathWithinAllowedDirectories(absolute, allowedDirectories)) {
+    throw new Error(
+      `Access denied - path outside allowed directories: ${absolute} not in ${allowedDirectories.join(
+        ", "
+      )}`
+    );
+  }
+  return absolute;
+}
+
+// Resolve a requested path and make sure that both the path itself and
+// whatever it points to after following symlinks lie inside the allowed
+// directories. Returns the requested absolute path and the resolved real path.
+export async function resolveAllowedPath(requestedPath, allowedDirectories) {
+  const absolute = toAllowedAbsolutePath(requestedPath, allowedDirectories);
+
+  // Handle symlinks by checking their real path
+  let realPath;
+  try {
+    realPath = await fs.realpath(absolute);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+
+    // A symlink whose target does not exist would let a later write create
+    // a file wherever it points, so refuse it outright
+    const linkStats = await fs.lstat(absolute).catch(() => null);
+    if (linkStats?.isSymbolicLink()) {
+      throw new Error(
+        `Access denied - symlink target does not exist: ${absolute}`
+      );
+    }
+
+    // For new files that don't exist yet, verify parent directory
+    const parentDir = path.dirname(absolute);
+    let realParentPath;
+    try {
+      realParentPath = await fs.realpath(parentDir);
+    } catch {
+      const missingParentError = new Error(
+        `Parent directory does not exist: ${parentDir}`
+      );
+      missingParentError.code = "ENOENT";
+      throw missingParentError;
+    }
+    if (!isPathWithinAllowedDirectories(realParentPath, allowedDirectories)) {
+      throw new Error(
+        "Access denied - parent directory outside allowed directories"
+      );
+    }
+    return {
+      absolute,
+      resolved: path.join(realParentPath, path.basename(absolute)),
+    };
+  }
+
+  if (!isPathWithinAllowedDirectories(realPath, allowedDirectories)) {
+    throw new Error(
+      "Access denied - symlink target outside allowed directories"
+    );
+  }
+  return { absolute, resolved: realPath };
+}
+
+// Resolve a path that is acted on itself rather than followed, such as a
+// symlink being deleted. Only the parent directory is resolved, so `resolved`
+// names the link rather than its target, which may lie anywhere.
+export async function resolveAllowedEntryPath(
+  requestedPath,
+  allowedDirectories
+) {
+  const absolute = toAllowedAbsolutePath(requestedPath, allowedDirectories);
+  const { resolved: realParentPath } = await resolveAllowedPath(
+    path.dirname(absolute),
+    allowedDirectories
+  );
+  return {
+    absolute,
+    resolved: path.join(realParentPath, path.basename(absolute)),
+  };
+}
+
+// Write a file atomically: the data goes to a temporary file in the same
+// directory, is flushed to disk and then renamed over the target. rename()
+// replaces a symlink at the target rather than following it, so a link swapped
+// in after validation cannot redirect the write.
+export async function writeFileAtomic(filePath, data, encoding = "utf-8") {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${randomBytes(6).toString("hex")}.tmp`
+  );
+  const existing = await fs.lstat(filePath).catch(() => null);
+  const flags =
+    fsConstants.O_WRONLY |
+    fsConstants.O_CREAT |
+    fsConstants.O_EXCL |
+    (fsConstants.O_NOFOLLOW ?? 0);
+
+  const fileHandle = await fs.open(tempPath, flags, 0o666);
+  try {
+    try {
+      await fileHandle.writeFile(data, encoding);
+      // Keep the permissions of the file being replaced
+      if (existing?.isFile()) {
+        await fileHandle.chmod(existing.mode & 0o7777);
+      }
+      await fileHandle.sync();
+    } finally {
+      await fileHandle.close();
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
@@ -0,0 +1,130 @@
+import fs from "fs/promises";
+import { minimatch } from "minimatch";
+import path from "path";
+import YAML from "yaml";
+import { z } from "zod";
+import {
+  CASE_INSENSITIVE_PATHS,
+  expandHome,
+  isPathWithinDirectory,
+  normalizePath,
+} from "./path-validation.js";
+
+// Tools that modify the file system; they are blocked in read-only roots and
+// recorded in the audit log
+export const WRITE_TOOLS = new Set([
+  "write_file",
+  "edit_file",
+  "create_directory",
+  "move_file",
+  "copy_file",
+  "create_archive",
+  "extract_archive",
+  "delete_file",
+  "delete_directory",
+  "restore_from_trash",
+  "empty_trash",
+  "apply_patch",
+  "batch_edit",
+]);
+
+const PolicyRuleSchema = z.object({
+  deny: z.array(z.string()).optional().default([]),
+  tools: z.record(z.boolean()).optional().default({}),
+});
+
+const AccessPolicySchema = PolicyRuleSchema.extend({
+  roots: z
+    .array(
+      PolicyRuleSchema.extend({
+        path: z.string(),
+        readOnly: z.boolean().optional().default(false),
+      })
+    )
+    .optional()
+    .default([]),
+});
+
+// Validate policy data, resolving root paths. Missing data is an empty policy
+// that permits everything.
+export function parsePolicy(data, source = "policy") {
+  const parsed = AccessPolicySchema.safeParse(data ?? {});
+  if (!parsed.success) {
+    throw new Error(`Invalid ${source}: ${parsed.error}`);
+  }
+  return {
+    ...parsed.data,
+    roots: parsed.data.roots.map((root) => ({
+      ...root,
+      path: normalizePath(path.resolve(expandHome(root.path))),
+    })),
+  };
+}
+
+export async function loadPolicy(policyPath) {
+  const raw = await fs.readFile(policyPath, "utf-8");
+  const data = /\.ya?ml$/i.test(policyPath) ? YAML.parse(raw) : JSON.parse(raw);
+  return parsePolicy(data, `policy file ${policyPath}`);
+}
+
+// Deny patterns follow the file system's case sensitivity, like the
+// containment checks, so that "**/.env" also hides .ENV on macOS and Windows
+function matchesDenyPattern(filePath, baseDir, patterns, caseInsensitive) {
+  const fold = (p) => (caseInsensitive ? p.toLowerCase() : p);
+  const relativePath = path
+    .relative(fold(baseDir), fold(filePath))
+    .split(path.sep)
+    .join("/");
+  return patterns.find((pattern) =>
+    minimatch(relativePath, pattern, { dot: true, nocase: caseInsensitive })
+  );
+}
+
+// Returns a description of the policy rule that forbids using the tool on the
+// path, or null when access is permitted. Global deny patterns are relative
+// to whichever of `baseDirectories` contains the path.
+export function getPolicyDenial(
+  policy,
+  baseDirectories,
+  filePath,
+  toolName,
+  caseInsensitive = CASE_INSENSITIVE_PATHS
+) {
+  const baseDir = baseDirectories.find((dir) =>
+    isPathWithinDirectory(filePath, dir, caseInsensitive)
+  );
+  const deniedPattern = matchesDenyPattern(
+    filePath,
+    baseDir ?? path.dirname(filePath),
+    policy.deny,
+    caseInsensitive
+  );
+  if (deniedPattern) {
+    return `deny pattern "${deniedPattern}"`;
+  }
+  if (toolName && policy.tools[toolName] === false) {
+    return `tool "${toolName}" is disabled`;
+  }
+
+  for (const root of policy.roots) {
+    if (!isPathWithinDirectory(filePath, root.path, caseInsensitive)) {
+      continue;
+    }
+    const deniedRootPattern = matchesDenyPattern(
+      filePath,
+      root.path,
+      root.deny,
+      caseInsensitive
+    );
+    if (deniedRootPattern) {
+      return `deny pattern "${deniedRootPattern}" for root ${root.path}`;
+    }
+    if (root.readOnly && WRITE_TOOLS.has(toolName)) {
+      return `root ${root.path} is read-only`;
+    }
+    if (toolName && root.tools[toolName] === false) {
+      return `tool "${toolName}" is disabled for root ${root.path}`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,34 @@
+// Expand the $ patterns in a regex replacement for a single match from
+// String.prototype.matchAll, following the same rules as
+// String.prototype.replace: $$, $&, $`, $', $1 to $99 and $<name>. A
+// two-digit reference falls back to one digit followed by a literal digit when
+// there are fewer groups, so with one group "$10" is group 1 then "0".
+// References to groups that do not exist are kept as written.
+export function expandReplacement(template, match) {
+  const groupCount = match.length - 1;
+
+  return template.replace(
+    /\$(?:(\$)|(&)|(`)|(')|(\d)(\d?)|<([^>]*)>)/g,
+    (token, dollar, whole, before, after, digit, nextDigit, groupName) => {
+      if (dollar) return "$";
+      if (whole) return match[0];
+      if (before) return match.input.slice(0, match.index);
+      if (after) return match.input.slice(match.index + match[0].length);
+      if (groupName !== undefined) {
+        // Without named groups "$<" is literal text and the rest is expanded
+        return match.groups
+          ? (match.groups[groupName] ?? "")
+          : `$<${expandReplacement(`${groupName}>`, match)}`;
+      }
+
+      const twoDigitGroup = Number(digit + nextDigit);
+      if (nextDigit && twoDigitGroup >= 1 && twoDigitGroup <= groupCount) {
+        return match[twoDigitGroup] ?? "";
+      }
+      const group = Number(digit);
+      return group >= 1 && group <= groupCount
+        ? (match[group] ?? "") + nextDigit
+        : token;
+    }
+  );
+}
@@ -0,0 +1,39 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  isPathWithinAllowedDirectories,
+  normalizePath,
+} from "./path-validation.js";
+
+// Turn the roots a client sent into allowed directories ({ path, source,
+// name }). Roots that are not local directories, or that contain one of
+// `protectedPaths` (a map from description to path), are left out and
+// reported in `ignored` with the reason.
+export async function clientRootsToDirectories(roots, protectedPaths = {}) {
+  const directories = [];
+  const ignored = [];
+  for (const root of roots) {
+    try {
+      if (!root.uri.startsWith("file://")) {
+        throw new Error("not a file:// URI");
+      }
+      const dir = normalizePath(path.resolve(fileURLToPath(root.uri)));
+      if (!(await fs.stat(dir)).isDirectory()) {
+        throw new Error("not a directory");
+      }
+      const realDir = await fs.realpath(dir);
+      for (const [description, protectedPath] of Object.entries(
+        protectedPaths
+      )) {
+        if (isPathWithinAllowedDirectories(protectedPath, [dir, realDir])) {
+          throw new Error(`contains the ${description} ${protectedPath}`);
+        }
+      }
+      directories.push({ path: dir, source: "client root", name: root.name });
+    } catch (error) {
+      ignored.push({ uri: root.uri, reason: error.message });
+    }
+  }
+  return { directories, ignored };
+}
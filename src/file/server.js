@@ -4,41 +4,188 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  RootsListChangedNotificationSchema,
+  SubscribeRequestSchema,
   ToolSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
+import { createHash } from "crypto";
+import { createReadStream, watch } from "fs";
 import fs from "fs/promises";
 import path from "path";
-import os from "os";
+import { fileURLToPath, pathToFileURL } from "url";
 import { z } from "zod";
 import { zodToJsonSchema } from "zod-to-json-schema";
-import { diffLines, createTwoFilesPatch } from "diff";
+import { diffLines, formatPatch, structuredPatch } from "diff";
 import { minimatch } from "minimatch";
+import {
+  appendAuditEntry,
+  hashFile,
+  readAuditEntries,
+  snapshotPath,
+} from "./audit-log.js";
+import {
+  expandHome,
+  isPathWithinAllowedDirectories,
+  isPathWithinDirectory,
+  normalizePath,
+  resolveAllowedEntryPath,
+  resolveAllowedPath,
+  writeFileAtomic,
+} from "./path-validation.js";
+import { isIgnored, readGitignore } from "./gitignore.js";
+import {
+  WRITE_TOOLS,
+  getPolicyDenial as findPolicyDenial,
+  loadPolicy,
+  parsePolicy,
+} from "./policy.js";
+import {
+  startHttpServer,
+  takeTransportOptions,
+} from "../shared/http-transport.js";
+import { attachLogging, detachLogging, getLogger } from "../shared/logging.js";
+import {
+  SYMBOL_KINDS,
+  canOutline,
+  flattenOutline,
+  parseOutline,
+} from "./outline.js";
+import { applyHunks, parseMultiFilePatch } from "./patch.js";
+import { expandReplacement } from "./regex-replacement.js";
+import {
+  DEFAULT_MAX_ARCHIVE_BYTES,
+  archiveFormat,
+  buildArchive,
+  findSymlinkEntryProblems,
+  parseArchive,
+  resolveEntryPath,
+} from "./archive.js";
+import { commitFileChanges } from "./file-changes.js";
+import { clientRootsToDirectories } from "./roots.js";
+import {
+  TEXT_ENCODINGS,
+  decodeText,
+  encodeText,
+  readTextFile,
+} from "./text-encoding.js";
+import {
+  emptyTrash,
+  getTrashEntry,
+  listTrash,
+  moveToTrash,
+  restoreTrashEntry,
+} from "./trash.js";
+
+const logger = getLogger("filesystem");
+
 // Command line argument parsing
 const args = process.argv.slice(2);
-if (args.length === 0) {
+
+// Remove `--flag <value>` from the arguments, falling back to an environment variable
+function takeOption(flag, envName) {
+  const index = args.indexOf(flag);
+  if (index === -1) {
+    return process.env[envName];
+  }
+  const [, value] = args.splice(index, 2);
+  return value;
+}
+
+let transportOptions;
+try {
+  transportOptions = takeTransportOptions(args, 3000);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+const policyFile = takeOption("--policy", "MCP_FILESYSTEM_POLICY");
+const auditLogFile = path.resolve(
+  expandHome(
+    takeOption("--audit-log", "MCP_FILESYSTEM_AUDIT_LOG") ??
+      "~/.mcp-filesystem/audit.jsonl"
+  )
+);
+const auditLogMaxBytes = Number(
+  takeOption("--audit-max-bytes", "MCP_FILESYSTEM_AUDIT_MAX_BYTES") ??
+    10 * 1024 * 1024
+);
+if (!Number.isInteger(auditLogMaxBytes) || auditLogMaxBytes <= 0) {
+  console.error("Error: audit log size limit must be a positive integer");
+  process.exit(1);
+}
+const trashDir = path.resolve(
+  expandHome(
+    takeOption("--trash-dir", "MCP_FILESYSTEM_TRASH_DIR") ??
+      "~/.mcp-filesystem/trash"
+  )
+);
+const maxMediaBytes = Number(
+  takeOption("--max-media-bytes", "MCP_FILESYSTEM_MAX_MEDIA_BYTES") ??
+    10 * 1024 * 1024
+);
+if (!Number.isInteger(maxMediaBytes) || maxMediaBytes <= 0) {
+  console.error("Error: media size limit must be a positive integer");
+  process.exit(1);
+}
+const maxArchiveBytes = Number(
+  takeOption("--max-archive-bytes", "MCP_FILESYSTEM_MAX_ARCHIVE_BYTES") ??
+    DEFAULT_MAX_ARCHIVE_BYTES
+);
+if (!Number.isInteger(maxArchiveBytes) || maxArchiveBytes <= 0) {
+  console.error("Error: archive size limit must be a positive integer");
+  process.exit(1);
+}
+const toolTimeoutMs = Number(
+  takeOption("--tool-timeout", "MCP_FILESYSTEM_TOOL_TIMEOUT") ?? 30 * 1000
+);
+if (!Number.isInteger(toolTimeoutMs) || toolTimeoutMs <= 0) {
   console.error(
-    "Usage: mcp-server-filesystem <allowed-directory> [additional-directories...]"
+    "Error: tool timeout must be a positive number of milliseconds"
   );
   process.exit(1);
 }
 
-// Normalize all paths consistently
-function normalizePath(p) {
-  return path.normalize(p);
-}
-
-function expandHome(filepath) {
-  if (filepath.startsWith("~/") || filepath === "~") {
-    return path.join(os.homedir(), filepath.slice(1));
+if (args.length === 0) {
+  console.error(
+    "Usage: mcp-server-filesystem [--transport <stdio|http>] [--host <host>] [--port <port>] [--auth-token <token>] [--session-idle-timeout <ms>] [--allowed-hosts <hosts>] [--allowed-origins <origins>] [--policy <policy-file>] [--audit-log <file>] [--audit-max-bytes <bytes>] [--trash-dir <dir>] [--max-media-bytes <bytes>] [--max-archive-bytes <bytes>] [--tool-timeout <ms>] [allowed-directory...]"
+  );
+  // Client roots are only used over stdio, see createServer
+  if (transportOptions.transport === "http") {
+    console.error("Error: the HTTP transport needs allowed directories");
+    process.exit(1);
   }
-  return filepath;
+  console.error(
+    "No allowed directories given; waiting for the client to provide roots"
+  );
 }
 
-// Store allowed directories in normalized form
-const allowedDirectories = args.map((dir) =>
-  normalizePath(path.resolve(expandHome(dir)))
-);
+// Allowed directories come from the command line, or from the client when it
+// supports the MCP roots protocol. Each remembers where it came from.
+const commandLineRoots = args.map((dir) => ({
+  path: normalizePath(path.resolve(expandHome(dir))),
+  source: "command line",
+}));
+let allowedRoots = [];
+let allowedDirectories = [];
+let accessibleDirectories = [];
+
+// Containment checks accept both the directories as given and their real
+// paths, so that symlinked roots such as /tmp on macOS keep working
+async function setAllowedRoots(roots) {
+  const realDirectories = await Promise.all(
+    roots.map((root) => fs.realpath(root.path))
+  );
+  allowedRoots = roots;
+  allowedDirectories = roots.map((root) => root.path);
+  accessibleDirectories = [
+    ...new Set([...allowedDirectories, ...realDirectories]),
+  ];
+}
 
 // Validate that all directories exist and are accessible
 await Promise.all(
@@ -56,62 +203,122 @@ await Promise.all(
   })
 );
 
-// Security utilities
-async function validatePath(requestedPath) {
-  const expandedPath = expandHome(requestedPath);
-  const absolute = path.isAbsolute(expandedPath)
-    ? path.resolve(expandedPath)
-    : path.resolve(process.cwd(), expandedPath);
+await setAllowedRoots(commandLineRoots);
 
-  const normalizedRequested = normalizePath(absolute);
+// Clients must not be able to read or rewrite the audit log directly
+if (isPathWithinAllowedDirectories(auditLogFile, accessibleDirectories)) {
+  console.error(
+    `Error: audit log ${auditLogFile} must be outside the allowed directories`
+  );
+  process.exit(1);
+}
 
-  // Check if path is within allowed directories
-  const isAllowed = allowedDirectories.some((dir) =>
-    normalizedRequested.startsWith(dir)
+// Deleted files must not stay reachable through the allowed directories
+if (isPathWithinAllowedDirectories(trashDir, accessibleDirectories)) {
+  console.error(
+    `Error: trash directory ${trashDir} must be outside the allowed directories`
   );
-  if (!isAllowed) {
-    throw new Error(
-      `Access denied - path outside allowed directories: ${absolute} not in ${allowedDirectories.join(
-        ", "
-      )}`
-    );
-  }
+  process.exit(1);
+}
 
-  // Handle symlinks by checking their real path
+// Access policy
+let policy = parsePolicy();
+if (policyFile) {
   try {
-    const realPath = await fs.realpath(absolute);
-    const normalizedReal = normalizePath(realPath);
-    const isRealPathAllowed = allowedDirectories.some((dir) =>
-      normalizedReal.startsWith(dir)
-    );
-    if (!isRealPathAllowed) {
-      throw new Error(
-        "Access denied - symlink target outside allowed directories"
-      );
+    policy = await loadPolicy(expandHome(policyFile));
+  } catch (error) {
+    console.error(`Error loading policy file ${policyFile}:`, error);
+    process.exit(1);
+  }
+}
+
+function getPolicyDenial(filePath, toolName) {
+  return findPolicyDenial(policy, accessibleDirectories, filePath, toolName);
+}
+
+// Throw if the policy forbids the tool on any of the paths, which are usually
+// a requested path and where it resolves to
+function assertPolicyAllows(filePaths, toolName) {
+  for (const filePath of new Set(filePaths)) {
+    const denial = getPolicyDenial(filePath, toolName);
+    if (denial) {
+      throw new Error(`Access denied by policy - ${denial}: ${filePath}`);
     }
-    return realPath;
+  }
+}
+
+// Entries matched by a deny pattern are left out of listings, so that a deny
+// rule hides a file rather than only refusing to read it
+function isHiddenByPolicy(filePath) {
+  return getPolicyDenial(filePath) !== null;
+}
+
+// A tool is listed as long as at least one allowed directory permits it
+function isToolEnabled(toolName) {
+  if (allowedDirectories.length === 0) {
+    return policy.tools[toolName] !== false;
+  }
+  return allowedDirectories.some(
+    (dir) => getPolicyDenial(dir, toolName) === null
+  );
+}
+
+// Security utilities
+async function validatePath(requestedPath, toolName) {
+  const { absolute, resolved } = await resolveAllowedPath(
+    requestedPath,
+    accessibleDirectories
+  );
+
+  // Apply the policy to both the requested path and its symlink target
+  assertPolicyAllows([absolute, resolved], toolName);
+  return resolved;
+}
+
+// Validate a path that is acted on itself even when it is a symlink, such as
+// a file being deleted: the link is removed, not whatever it points to
+async function validateEntryPath(requestedPath, toolName) {
+  const { absolute, resolved } = await resolveAllowedEntryPath(
+    requestedPath,
+    accessibleDirectories
+  );
+  assertPolicyAllows([absolute, resolved], toolName);
+  return resolved;
+}
+
+// Validate a path whose parent directories may not exist yet by validating its
+// nearest existing ancestor. The caller creates the missing directories.
+async function validateCreatablePath(requestedPath, toolName) {
+  try {
+    return await validatePath(requestedPath, toolName);
   } catch (error) {
-    // For new files that don't exist yet, verify parent directory
-    const parentDir = path.dirname(absolute);
-    try {
-      const realParentPath = await fs.realpath(parentDir);
-      const normalizedParent = normalizePath(realParentPath);
-      const isParentAllowed = allowedDirectories.some((dir) =>
-        normalizedParent.startsWith(dir)
-      );
-      if (!isParentAllowed) {
-        throw new Error(
-          "Access denied - parent directory outside allowed directories"
-        );
-      }
-      return absolute;
-    } catch {
-      throw new Error(`Parent directory does not exist: ${parentDir}`);
+    if (error.code !== "ENOENT") {
+      throw error;
     }
   }
+
+  const absolute = path.resolve(expandHome(requestedPath));
+  let ancestor = path.dirname(absolute);
+  while (!(await fs.lstat(ancestor).catch(() => null))) {
+    ancestor = path.dirname(ancestor);
+  }
+  const validAncestor = await validatePath(ancestor, toolName);
+  const resolved = path.join(validAncestor, path.relative(ancestor, absolute));
+  assertPolicyAllows([absolute, resolved], toolName);
+  return resolved;
 }
 
 // Schema definitions
+// Page sizes used when a range read does not say where to stop
+const DEFAULT_PAGE_LINES = 2000;
+const DEFAULT_PAGE_BYTES = 64 * 1024;
+
+const EncodingSchema = z
+  .enum(TEXT_ENCODINGS)
+  .optional()
+  .default("utf-8")
+  .describe("Text encoding of the file");
+
 const ReadFileArgsSchema = z.object({
   path: z.string(),
   tail: z
@@ -122,20 +329,105 @@ const ReadFileArgsSchema = z.object({
     .number()
     .optional()
     .describe("If provided, returns only the first N lines of the file"),
+  startLine: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .describe("First line to return (1-based) when reading a range of lines"),
+  endLine: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .describe(
+      `Last line to return (inclusive). Defaults to startLine + ${
+        DEFAULT_PAGE_LINES - 1
+      }`
+    ),
+  offset: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .describe("Byte offset to start reading from when reading a byte range"),
+  length: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .describe(
+      `Number of bytes to read from offset. Defaults to ${DEFAULT_PAGE_BYTES}`
+    ),
+  lineNumbers: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe("Prefix each line with its line number (line-based reads only)"),
+  encoding: EncodingSchema,
+});
+
+const ReadMediaFileArgsSchema = z.object({
+  path: z.string(),
 });
 
 const ReadMultipleFilesArgsSchema = z.object({
   paths: z.array(z.string()),
 });
 
+const ExpectedHashSchema = z
+  .string()
+  .optional()
+  .describe(
+    "SHA-256 hash returned by read_file or get_file_info. If the file has " +
+      "changed since then, the operation is rejected with a conflict error"
+  );
+
 const WriteFileArgsSchema = z.object({
   path: z.string(),
   content: z.string(),
+  expectedHash: ExpectedHashSchema,
+  encoding: EncodingSchema,
 });
 
 const EditOperation = z.object({
-  oldText: z.string().describe("Text to search for - must match exactly"),
-  newText: z.string().describe("Text to replace with"),
+  oldText: z
+    .string()
+    .describe(
+      "Text to search for - must match exactly, or a regular expression when 'regex' is set"
+    ),
+  newText: z
+    .string()
+    .describe(
+      "Text to replace with. In regex mode $1, $<name> and $& insert captured text, as in String.prototype.replace"
+    ),
+  occurrence: z
+    .union([z.enum(["first", "all"]), z.number().int().min(1)])
+    .optional()
+    .describe(
+      "Which matches to replace: 'first', 'all' or a 1-based match number. " +
+        "Without it, oldText must match exactly once"
+    ),
+  regex: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe("Treat oldText as a JavaScript regular expression (multiline)"),
+  unicode: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe(
+      "Compile the regular expression with the 'u' flag, for \\u{...} escapes and \\p{...} property classes"
+    ),
+  expectedMatches: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .describe(
+      "Fail unless oldText matches exactly this many times. Replaces every match unless 'occurrence' is set"
+    ),
 });
 
 const EditFileArgsSchema = z.object({
@@ -145,6 +437,52 @@ const EditFileArgsSchema = z.object({
     .boolean()
     .default(false)
     .describe("Preview changes using git-style diff format"),
+  expectedHash: ExpectedHashSchema,
+  encoding: EncodingSchema,
+});
+
+const BatchEditArgsSchema = z.object({
+  files: z
+    .array(
+      z.object({
+        path: z.string(),
+        edits: z.array(EditOperation),
+        expectedHash: ExpectedHashSchema,
+        encoding: EncodingSchema,
+      })
+    )
+    .min(1),
+  dryRun: z
+    .boolean()
+    .default(false)
+    .describe("Preview changes using git-style diff format"),
+});
+
+const ApplyPatchArgsSchema = z.object({
+  path: z
+    .string()
+    .describe("Directory that the file paths in the patch are relative to"),
+  patch: z
+    .string()
+    .describe(
+      "Unified diff, optionally with git headers, touching one or more files"
+    ),
+  fuzz: z
+    .number()
+    .int()
+    .min(0)
+    .max(3)
+    .optional()
+    .default(2)
+    .describe(
+      "Number of context lines that may be ignored at each end of a hunk that does not apply exactly"
+    ),
+  dryRun: z
+    .boolean()
+    .default(false)
+    .describe(
+      "Check that the patch applies and preview the result without writing"
+    ),
 });
 
 const CreateDirectoryArgsSchema = z.object({
@@ -164,13 +502,174 @@ const ListDirectoryWithSizesArgsSchema = z.object({
     .describe("Sort entries by name or size"),
 });
 
+const DiskUsageArgsSchema = z.object({
+  path: z.string(),
+  maxDepth: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .default(2)
+    .describe(
+      "Levels of subdirectories to show. Sizes always include everything below"
+    ),
+  top: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .default(10)
+    .describe("Largest entries to show per directory; the rest are summed up"),
+  excludePatterns: z.array(z.string()).optional().default([]),
+});
+
+const FindDuplicatesArgsSchema = z.object({
+  path: z.string(),
+  minSize: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .default(1)
+    .describe("Ignore files smaller than this many bytes"),
+  maxGroups: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .default(50)
+    .describe(
+      "Maximum number of duplicate groups to list, largest waste first"
+    ),
+  excludePatterns: z.array(z.string()).optional().default([]),
+});
+
+const HashFileArgsSchema = z.object({
+  path: z.string(),
+  algorithm: z.enum(["md5", "sha1", "sha256"]).optional().default("sha256"),
+});
+
+const DiffFilesArgsSchema = z.object({
+  original: z.string().describe("File to compare from"),
+  modified: z.string().describe("File to compare to"),
+  ignoreWhitespace: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe("Ignore differences in whitespace within lines"),
+  contextLines: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .default(3)
+    .describe("Unchanged lines to show around each change"),
+});
+
 const DirectoryTreeArgsSchema = z.object({
   path: z.string(),
+  maxDepth: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .describe(
+      "Maximum depth to descend; deeper directories are marked truncated"
+    ),
+  excludePatterns: z.array(z.string()).optional().default([]),
+  respectGitignore: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe(
+      "Skip entries ignored by .gitignore files, and the .git directory"
+    ),
+  maxEntries: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .default(1000)
+    .describe(
+      "Stop after this many entries; incomplete directories are marked truncated"
+    ),
+  includeSize: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe("Include the size in bytes of each file"),
+  includeMtime: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe("Include the last modification time of each entry"),
+  format: z
+    .enum(["json", "text"])
+    .optional()
+    .default("json")
+    .describe(
+      "'json' for a JSON structure, 'text' for a compact indented listing"
+    ),
 });
 
 const MoveFileArgsSchema = z.object({
   source: z.string(),
   destination: z.string(),
+  expectedHash: ExpectedHashSchema,
+});
+
+const CopyFileArgsSchema = z.object({
+  source: z.string(),
+  destination: z.string(),
+  overwrite: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe("Replace files that already exist at the destination"),
+  preserveTimestamps: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe("Give copies the access and modification times of the originals"),
+  excludePatterns: z.array(z.string()).optional().default([]),
+  dryRun: z
+    .boolean()
+    .default(false)
+    .describe("List what would be copied without copying anything"),
+});
+
+const CreateArchiveArgsSchema = z.object({
+  path: z
+    .string()
+    .describe(
+      "Archive to create; the format follows from .tar, .tar.gz, .tgz or .zip"
+    ),
+  sources: z
+    .array(z.string())
+    .min(1)
+    .describe("Files and directories to add, each stored under its own name"),
+  excludePatterns: z.array(z.string()).optional().default([]),
+  overwrite: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe("Replace the archive if it already exists"),
+});
+
+const ExtractArchiveArgsSchema = z.object({
+  path: z.string().describe("Archive to extract (.tar, .tar.gz, .tgz or .zip)"),
+  destination: z
+    .string()
+    .describe("Directory to extract into; created if it does not exist"),
+  overwrite: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe("Replace files that already exist at the destination"),
+});
+
+const ListArchiveArgsSchema = z.object({
+  path: z.string(),
 });
 
 const SearchFilesArgsSchema = z.object({
@@ -179,60 +678,389 @@ const SearchFilesArgsSchema = z.object({
   excludePatterns: z.array(z.string()).optional().default([]),
 });
 
-const GetFileInfoArgsSchema = z.object({
+const SearchFileContentsArgsSchema = z.object({
   path: z.string(),
+  pattern: z.string().describe("Text or regular expression to search for"),
+  isRegex: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe(
+      "Treat the pattern as a regular expression instead of literal text"
+    ),
+  caseSensitive: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe("Match case exactly"),
+  includePatterns: z
+    .array(z.string())
+    .optional()
+    .default([])
+    .describe(
+      "Only search files whose relative path matches one of these globs"
+    ),
+  excludePatterns: z.array(z.string()).optional().default([]),
+  contextBefore: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .default(0)
+    .describe("Number of lines to show before each match"),
+  contextAfter: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .default(0)
+    .describe("Number of lines to show after each match"),
+  maxResults: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .default(100)
+    .describe("Stop after this many matching lines"),
 });
 
-// Server setup
-const server = new Server(
-  {
-    name: "secure-filesystem-server",
-    version: "0.2.0",
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
+const FileOutlineArgsSchema = z.object({
+  path: z.string(),
+});
 
-// Tool implementations
-async function getFileStats(filePath) {
-  const stats = await fs.stat(filePath);
-  return {
-    size: stats.size,
-    created: stats.birthtime,
-    modified: stats.mtime,
-    accessed: stats.atime,
-    isDirectory: stats.isDirectory(),
-    isFile: stats.isFile(),
-    permissions: stats.mode.toString(8).slice(-3),
-  };
-}
+const FindSymbolArgsSchema = z.object({
+  path: z.string().describe("Directory to search, or a single file"),
+  name: z.string().describe("Symbol name to look for"),
+  exact: z
+    .boolean()
+    .optional()
+    .default(true)
+    .describe(
+      "Match the whole name case-sensitively; false matches names containing it, ignoring case"
+    ),
+  kinds: z
+    .array(z.enum(SYMBOL_KINDS))
+    .optional()
+    .describe(
+      "Only return symbols of these kinds. Imports and re-exports are skipped unless listed"
+    ),
+  excludePatterns: z.array(z.string()).optional().default(["node_modules"]),
+  maxResults: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .default(100)
+    .describe("Stop after this many matching symbols"),
+});
 
-async function searchFiles(rootPath, pattern, excludePatterns = []) {
-  const results = [];
+const GetFileInfoArgsSchema = z.object({
+  path: z.string(),
+});
 
-  async function search(currentPath) {
-    const entries = await fs.readdir(currentPath, { withFileTypes: true });
+const DeleteFileArgsSchema = z.object({
+  path: z.string(),
+});
 
-    for (const entry of entries) {
-      const fullPath = path.join(currentPath, entry.name);
+const DeleteDirectoryArgsSchema = z.object({
+  path: z.string(),
+  recursive: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe("Also delete everything inside a non-empty directory"),
+});
 
-      try {
-        // Validate each path before processing
-        await validatePath(fullPath);
+const RestoreFromTrashArgsSchema = z.object({
+  id: z.string().describe("Trash entry id as shown by list_trash"),
+  destination: z
+    .string()
+    .optional()
+    .describe("Restore to this path instead of the original location"),
+});
 
-        // Check if path matches any exclude pattern
-        const relativePath = path.relative(rootPath, fullPath);
-        const shouldExclude = excludePatterns.some((pattern) => {
-          const globPattern = pattern.includes("*")
-            ? pattern
-            : `**/${pattern}/**`;
-          return minimatch(relativePath, globPattern, { dot: true });
-        });
+const EmptyTrashArgsSchema = z.object({
+  ids: z
+    .array(z.string())
+    .optional()
+    .describe("Only permanently delete these entries; defaults to all"),
+});
+
+const GetAuditLogArgsSchema = z.object({
+  path: z
+    .string()
+    .optional()
+    .describe("Only return entries touching this file or directory"),
+  since: z
+    .string()
+    .optional()
+    .describe("Only return entries at or after this ISO 8601 timestamp"),
+  until: z
+    .string()
+    .optional()
+    .describe("Only return entries at or before this ISO 8601 timestamp"),
+  limit: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .default(100)
+    .describe("Maximum number of most recent entries to return"),
+});
+
+// Output schemas
+// Tools with an output schema return the same data as structuredContent
+// alongside their text output
+const EntryTypeSchema = z.enum(["file", "directory"]);
+const TimestampSchema = z.string().describe("ISO 8601 timestamp");
+
+const ListDirectoryOutputSchema = z.object({
+  entries: z.array(z.object({ name: z.string(), type: EntryTypeSchema })),
+});
+
+const ListDirectoryWithSizesOutputSchema = z.object({
+  entries: z.array(
+    z.object({
+      name: z.string(),
+      type: EntryTypeSchema,
+      size: z
+        .number()
+        .int()
+        .optional()
+        .describe("Size in bytes; omitted for directories"),
+      modified: TimestampSchema,
+    })
+  ),
+  totalFiles: z.number().int(),
+  totalDirectories: z.number().int(),
+  totalSize: z.number().int().describe("Combined size of the files in bytes"),
+});
+
+const GetFileInfoOutputSchema = z.object({
+  size: z.number().int(),
+  created: TimestampSchema,
+  modified: TimestampSchema,
+  accessed: TimestampSchema,
+  isDirectory: z.boolean(),
+  isFile: z.boolean(),
+  permissions: z.string().describe("Octal permission bits, e.g. 644"),
+  sha256: z.string().optional().describe("Hash of the content, files only"),
+});
+
+const StopReasonSchema = z
+  .enum(["cancelled", "timeout"])
+  .optional()
+  .describe("Why the walk stopped before finishing; the results are partial");
+
+const SearchFilesOutputSchema = z.object({
+  matches: z
+    .array(z.string())
+    .describe("Full paths of the matching files and directories"),
+  stopped: StopReasonSchema,
+});
+
+const TreeEntrySchema = z.lazy(() =>
+  z.object({
+    name: z.string(),
+    type: EntryTypeSchema,
+    size: z.number().int().optional(),
+    mtime: TimestampSchema.optional(),
+    truncated: z.boolean().optional(),
+    children: z.array(TreeEntrySchema).optional(),
+  })
+);
+
+const DirectoryTreeOutputSchema = z.object({
+  tree: z.array(TreeEntrySchema),
+  truncated: z
+    .boolean()
+    .describe("Whether any directory has more entries than shown"),
+  stopped: StopReasonSchema,
+});
+
+const OutlineSymbolSchema = z.lazy(() =>
+  z.object({
+    name: z.string(),
+    kind: z.enum(SYMBOL_KINDS),
+    startLine: z.number().int(),
+    endLine: z.number().int(),
+    exported: z.boolean().optional(),
+    detail: z
+      .string()
+      .optional()
+      .describe("Modifiers, variable kind, or the names an import binds"),
+    children: z.array(OutlineSymbolSchema).optional(),
+  })
+);
+
+const FileOutlineOutputSchema = z.object({
+  path: z.string(),
+  symbols: z.array(OutlineSymbolSchema),
+});
+
+const FindSymbolOutputSchema = z.object({
+  matches: z.array(
+    z.object({
+      path: z.string(),
+      name: z.string(),
+      kind: z.enum(SYMBOL_KINDS),
+      startLine: z.number().int(),
+      endLine: z.number().int(),
+      container: z
+        .string()
+        .optional()
+        .describe("Dotted name of the enclosing symbols, e.g. a class"),
+      exported: z.boolean().optional(),
+      detail: z.string().optional(),
+    })
+  ),
+  truncated: z.boolean().describe("Whether maxResults cut the results short"),
+  skipped: z
+    .number()
+    .int()
+    .describe("Files that were too large, unreadable or failed to parse"),
+  stopped: StopReasonSchema,
+});
+
+const EditFileOutputSchema = z.object({
+  path: z.string(),
+  dryRun: z.boolean().describe("True when the file was left unchanged"),
+  diff: z.string().describe("Unified diff of the edits"),
+  notes: z
+    .array(z.string())
+    .describe("How edits were matched, e.g. ignoring whitespace"),
+});
+
+// Long-running operations
+// Recursive walks call operation.step() for every entry they visit. Clients
+// that sent a progress token get notifications/progress with the number of
+// entries scanned, and once the request is cancelled or the tool timeout
+// passes `stopped` becomes the reason, so the walk can return what it found so
+// far. File reads take `signal`, which is aborted at the same time, and fail
+// instead. `stopped` also compares against the deadline itself, because the
+// timer cannot fire while a synchronous loop holds the event loop.
+const PROGRESS_INTERVAL_MS = 500;
+const IDLE_OPERATION = {
+  step() {},
+  stopped: undefined,
+  signal: undefined,
+  timeLeft: () => Infinity,
+};
+
+function startOperation(extra) {
+  const controller = new AbortController();
+  const deadline = Date.now() + toolTimeoutMs;
+  const timer = setTimeout(() => controller.abort("timeout"), toolTimeoutMs);
+  const cancel = () => controller.abort("cancelled");
+  if (extra.signal?.aborted) {
+    cancel();
+  }
+  extra.signal?.addEventListener("abort", cancel);
+
+  const progressToken = extra._meta?.progressToken;
+  let scanned = 0;
+  // The first entry is reported right away, later ones at most every interval
+  let lastReport = 0;
+  return {
+    signal: controller.signal,
+    get stopped() {
+      if (!controller.signal.aborted && Date.now() >= deadline) {
+        controller.abort("timeout");
+      }
+      return controller.signal.aborted ? controller.signal.reason : undefined;
+    },
+    timeLeft() {
+      return Math.max(0, deadline - Date.now());
+    },
+    step() {
+      scanned++;
+      if (
+        progressToken === undefined ||
+        Date.now() - lastReport < PROGRESS_INTERVAL_MS
+      ) {
+        return;
+      }
+      lastReport = Date.now();
+      extra
+        .sendNotification({
+          method: "notifications/progress",
+          params: {
+            progressToken,
+            progress: scanned,
+            message: `${scanned} entries scanned`,
+          },
+        })
+        .catch((error) => {
+          logger.warning("Failed to send progress notification", { error });
+        });
+    },
+    end() {
+      clearTimeout(timer);
+      extra.signal?.removeEventListener("abort", cancel);
+    },
+  };
+}
+
+function formatStopError(stopped) {
+  return stopped === "timeout"
+    ? `Stopped after the ${toolTimeoutMs} ms tool timeout`
+    : "Stopped because the request was cancelled";
+}
+
+function formatStopReason(stopped) {
+  return `${formatStopError(stopped)}; results are incomplete`;
+}
+
+// Tool implementations
+async function getFileStats(filePath) {
+  const stats = await fs.stat(filePath);
+  return {
+    size: stats.size,
+    created: stats.birthtime,
+    modified: stats.mtime,
+    accessed: stats.atime,
+    isDirectory: stats.isDirectory(),
+    isFile: stats.isFile(),
+    permissions: stats.mode.toString(8).slice(-3),
+    ...(stats.isFile() && { sha256: await hashFile(filePath) }),
+  };
+}
+
+function matchesExcludePattern(relativePath, excludePatterns) {
+  return excludePatterns.some((pattern) => {
+    const globPattern = pattern.includes("*") ? pattern : `**/${pattern}/**`;
+    return minimatch(relativePath, globPattern, { dot: true });
+  });
+}
+
+async function searchFiles(
+  rootPath,
+  pattern,
+  excludePatterns = [],
+  operation = IDLE_OPERATION
+) {
+  const results = [];
+
+  async function search(currentPath) {
+    const entries = await fs.readdir(currentPath, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (operation.stopped) {
+        return;
+      }
+      operation.step();
+      const fullPath = path.join(currentPath, entry.name);
+
+      try {
+        if (isHiddenByPolicy(fullPath)) {
+          continue;
+        }
+        // Validate each path before processing
+        await validatePath(fullPath);
 
-        if (shouldExclude) {
+        // Check if path matches any exclude pattern
+        const relativePath = path.relative(rootPath, fullPath);
+        if (matchesExcludePattern(relativePath, excludePatterns)) {
           continue;
         }
 
@@ -251,641 +1079,3584 @@ async function searchFiles(rootPath, pattern, excludePatterns = []) {
   }
 
   await search(rootPath);
-  return results;
-}
-
-// file editing and diffing utilities
-function normalizeLineEndings(text) {
-  return text.replace(/\r\n/g, "\n");
-}
-
-function createUnifiedDiff(originalContent, newContent, filepath = "file") {
-  // Ensure consistent line endings for diff
-  const normalizedOriginal = normalizeLineEndings(originalContent);
-  const normalizedNew = normalizeLineEndings(newContent);
-
-  return createTwoFilesPatch(
-    filepath,
-    filepath,
-    normalizedOriginal,
-    normalizedNew,
-    "original",
-    "modified"
-  );
+  return { results, stopped: operation.stopped };
 }
 
-async function applyFileEdits(filePath, edits, dryRun = false) {
-  // Read file content and normalize line endings
-  const content = normalizeLineEndings(await fs.readFile(filePath, "utf-8"));
-
-  // Apply edits sequentially
-  let modifiedContent = content;
-  for (const edit of edits) {
-    const normalizedOld = normalizeLineEndings(edit.oldText);
-    const normalizedNew = normalizeLineEndings(edit.newText);
+// Build a tree of entries below rootPath. Directories whose children are
+// incomplete because of maxDepth or maxEntries get `truncated: true`.
+async function buildDirectoryTree(rootPath, toolName, options = {}) {
+  const {
+    maxDepth = Infinity,
+    excludePatterns = [],
+    respectGitignore = false,
+    maxEntries = Infinity,
+    includeSize = false,
+    includeMtime = false,
+    operation = IDLE_OPERATION,
+  } = options;
+  let entryCount = 0;
+  let truncated = false;
 
-    // If exact match exists, use it
-    if (modifiedContent.includes(normalizedOld)) {
-      modifiedContent = modifiedContent.replace(normalizedOld, normalizedNew);
-      continue;
-    }
+  async function buildTree(currentPath, depth, ignoreRules) {
+    const validPath = await validatePath(currentPath, toolName);
+    const entries = await fs.readdir(validPath, { withFileTypes: true });
+    const rules = respectGitignore
+      ? [...ignoreRules, ...(await readGitignore(validPath))]
+      : ignoreRules;
+    const result = [];
+    let complete = true;
 
-    // Otherwise, try line-by-line matching with flexibility for whitespace
-    const oldLines = normalizedOld.split("\n");
-    const contentLines = modifiedContent.split("\n");
-    let matchFound = false;
+    for (const entry of entries) {
+      const entryPath = path.join(currentPath, entry.name);
+      const relativePath = path.relative(rootPath, entryPath);
+      if (
+        isHiddenByPolicy(entryPath) ||
+        matchesExcludePattern(relativePath, excludePatterns) ||
+        (respectGitignore &&
+          ((entry.isDirectory() && entry.name === ".git") ||
+            isIgnored(rules, entryPath, entry.isDirectory())))
+      ) {
+        continue;
+      }
 
-    for (let i = 0; i <= contentLines.length - oldLines.length; i++) {
-      const potentialMatch = contentLines.slice(i, i + oldLines.length);
+      if (entryCount >= maxEntries || operation.stopped) {
+        complete = false;
+        truncated = true;
+        break;
+      }
+      entryCount++;
+      operation.step();
 
-      // Compare lines with normalized whitespace
-      const isMatch = oldLines.every((oldLine, j) => {
-        const contentLine = potentialMatch[j];
-        return oldLine.trim() === contentLine.trim();
-      });
+      const entryData = {
+        name: entry.name,
+        type: entry.isDirectory() ? "directory" : "file",
+      };
+      if (includeSize || includeMtime) {
+        const stats = await fs.stat(entryPath).catch(() => null);
+        if (stats && includeSize && !entry.isDirectory()) {
+          entryData.size = stats.size;
+        }
+        if (stats && includeMtime) {
+          entryData.mtime = stats.mtime.toISOString();
+        }
+      }
 
-      if (isMatch) {
-        // Preserve original indentation of first line
-        const originalIndent = contentLines[i].match(/^\s*/)?.[0] || "";
-        const newLines = normalizedNew.split("\n").map((line, j) => {
-          if (j === 0) return originalIndent + line.trimStart();
-          // For subsequent lines, try to preserve relative indentation
-          const oldIndent = oldLines[j]?.match(/^\s*/)?.[0] || "";
-          const newIndent = line.match(/^\s*/)?.[0] || "";
-          if (oldIndent && newIndent) {
-            const relativeIndent = newIndent.length - oldIndent.length;
-            return (
-              originalIndent +
-              " ".repeat(Math.max(0, relativeIndent)) +
-              line.trimStart()
-            );
+      if (entry.isDirectory()) {
+        if (depth >= maxDepth) {
+          entryData.children = [];
+          entryData.truncated = true;
+          truncated = true;
+        } else {
+          try {
+            const subtree = await buildTree(entryPath, depth + 1, rules);
+            entryData.children = subtree.children;
+            if (!subtree.complete) {
+              entryData.truncated = true;
+            }
+          } catch (error) {
+            // Skip directories that fail validation, as searchFiles does
+            entryCount--;
+            continue;
           }
-          return line;
-        });
-
-        contentLines.splice(i, oldLines.length, ...newLines);
-        modifiedContent = contentLines.join("\n");
-        matchFound = true;
-        break;
+        }
       }
-    }
 
-    if (!matchFound) {
-      throw new Error(`Could not find exact match for edit:\n${edit.oldText}`);
+      result.push(entryData);
     }
+
+    return { children: result, complete };
   }
 
-  // Create unified diff
-  const diff = createUnifiedDiff(content, modifiedContent, filePath);
+  const { children, complete } = await buildTree(rootPath, 1, []);
+  return { tree: children, complete, truncated, stopped: operation.stopped };
+}
 
-  // Format diff with appropriate number of backticks
-  let numBackticks = 3;
-  while (diff.includes("`".repeat(numBackticks))) {
-    numBackticks++;
+// Compact alternative to JSON: one entry per line, indented two spaces per level
+function formatTreeAsText(tree, truncated, indent = "") {
+  const lines = [];
+  for (const entry of tree) {
+    const details = [
+      entry.size !== undefined && formatSize(entry.size),
+      entry.mtime,
+    ].filter(Boolean);
+    lines.push(
+      `${indent}${entry.name}${entry.type === "directory" ? "/" : ""}${
+        details.length > 0 ? ` (${details.join(", ")})` : ""
+      }`
+    );
+    if (entry.children) {
+      lines.push(
+        ...formatTreeAsText(entry.children, entry.truncated, indent + "  ")
+      );
+    }
   }
-  const formattedDiff = `${"`".repeat(numBackticks)}diff\n${diff}${"`".repeat(
-    numBackticks
-  )}\n\n`;
+  if (truncated) {
+    lines.push(`${indent}... (truncated)`);
+  }
+  return lines;
+}
 
-  if (!dryRun) {
-    await fs.writeFile(filePath, modifiedContent, "utf-8");
+// Treat a file as binary if its first chunk contains a NUL byte
+async function isBinaryFile(filePath) {
+  const fileHandle = await fs.open(filePath, "r");
+  try {
+    const chunk = Buffer.alloc(8000);
+    const { bytesRead } = await fileHandle.read(chunk, 0, chunk.length, 0);
+    return chunk.subarray(0, bytesRead).includes(0);
+  } finally {
+    await fileHandle.close();
   }
+}
 
-  return formattedDiff;
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
-// Helper functions
-function formatSize(bytes) {
-  const units = ["B", "KB", "MB", "GB", "TB"];
-  if (bytes === 0) return "0 B";
+async function searchFileContents(rootPath, pattern, options = {}) {
+  const {
+    isRegex = false,
+    caseSensitive = false,
+    includePatterns = [],
+    excludePatterns = [],
+    contextBefore = 0,
+    contextAfter = 0,
+    maxResults = 100,
+    operation = IDLE_OPERATION,
+  } = options;
 
-  const i = Math.floor(Math.log(bytes) / Math.log(1024));
-  if (i === 0) return `${bytes} ${units[i]}`;
+  const matcher = new RegExp(
+    isRegex ? pattern : escapeRegExp(pattern),
+    caseSensitive ? "" : "i"
+  );
 
-  return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${units[i]}`;
-}
+  const results = [];
+  let truncated = false;
 
-// Memory-efficient implementation to get the last N lines of a file
-async function tailFile(filePath, numLines) {
-  const CHUNK_SIZE = 1024; // Read 1KB at a time
-  const stats = await fs.stat(filePath);
-  const fileSize = stats.size;
+  async function searchFile(filePath) {
+    if (await isBinaryFile(filePath)) {
+      return;
+    }
 
-  if (fileSize === 0) return "";
+    const lines = normalizeLineEndings(
+      await fs.readFile(filePath, {
+        encoding: "utf-8",
+        signal: operation.signal,
+      })
+    ).split("\n");
 
-  // Open file for reading
-  const fileHandle = await fs.open(filePath, "r");
-  try {
-    const lines = [];
-    let position = fileSize;
-    let chunk = Buffer.alloc(CHUNK_SIZE);
-    let linesFound = 0;
-    let remainingText = "";
+    for (let i = 0; i < lines.length; i++) {
+      if (operation.stopped) {
+        return;
+      }
+      const match = matcher.exec(lines[i]);
+      if (!match) {
+        continue;
+      }
+      if (results.length >= maxResults) {
+        truncated = true;
+        return;
+      }
+      results.push({
+        path: filePath,
+        line: i + 1,
+        column: match.index + 1,
+        text: lines[i],
+        before: lines.slice(Math.max(0, i - contextBefore), i),
+        after: lines.slice(i + 1, i + 1 + contextAfter),
+      });
+    }
+  }
 
-    // Read chunks from the end of the file until we have enough lines
-    while (position > 0 && linesFound < numLines) {
-      const size = Math.min(CHUNK_SIZE, position);
-      position -= size;
+  async function search(currentPath) {
+    const entries = await fs.readdir(currentPath, { withFileTypes: true });
 
-      const { bytesRead } = await fileHandle.read(chunk, 0, size, position);
-      if (!bytesRead) break;
+    for (const entry of entries) {
+      if (truncated || operation.stopped) {
+        return;
+      }
+      operation.step();
+      const fullPath = path.join(currentPath, entry.name);
 
-      // Get the chunk as a string and prepend any remaining text from previous iteration
-      const readData = chunk.slice(0, bytesRead).toString("utf-8");
-      const chunkText = readData + remainingText;
+      try {
+        if (isHiddenByPolicy(fullPath)) {
+          continue;
+        }
+        // Validate each path before processing
+        await validatePath(fullPath);
 
-      // Split by newlines and count
-      const chunkLines = normalizeLineEndings(chunkText).split("\n");
+        const relativePath = path.relative(rootPath, fullPath);
+        if (matchesExcludePattern(relativePath, excludePatterns)) {
+          continue;
+        }
 
-      // If this isn't the end of the file, the first line is likely incomplete
-      // Save it to prepend to the next chunk
-      if (position > 0) {
-        remainingText = chunkLines[0];
-        chunkLines.shift(); // Remove the first (incomplete) line
-      }
+        if (entry.isDirectory()) {
+          await search(fullPath);
+          continue;
+        }
 
-      // Add lines to our result (up to the number we need)
-      for (
-        let i = chunkLines.length - 1;
-        i >= 0 && linesFound < numLines;
-        i--
-      ) {
-        lines.unshift(chunkLines[i]);
-        linesFound++;
+        if (
+          includePatterns.length > 0 &&
+          !includePatterns.some((pattern) =>
+            minimatch(relativePath, pattern, { dot: true, matchBase: true })
+          )
+        ) {
+          continue;
+        }
+
+        if (entry.isFile()) {
+          await searchFile(fullPath);
+        }
+      } catch (error) {
+        // Skip unreadable or invalid paths during search
+        continue;
       }
     }
+  }
 
-    return lines.join("\n");
-  } finally {
-    await fileHandle.close();
+  await search(rootPath);
+  return { results, truncated, stopped: operation.stopped };
+}
+
+function formatContentMatches({ results, truncated, stopped }) {
+  if (results.length === 0) {
+    return stopped
+      ? `No matches found. ${formatStopReason(stopped)}`
+      : "No matches found";
+  }
+
+  const blocks = results.map((result) => {
+    const firstLine = result.line - result.before.length;
+    return [
+      ...result.before.map(
+        (text, i) => `${result.path}-${firstLine + i}- ${text}`
+      ),
+      `${result.path}:${result.line}:${result.column}: ${result.text}`,
+      ...result.after.map(
+        (text, i) => `${result.path}-${result.line + 1 + i}- ${text}`
+      ),
+    ].join("\n");
+  });
+
+  const hasContext = results.some(
+    (result) => result.before.length > 0 || result.after.length > 0
+  );
+  const text = blocks.join(hasContext ? "\n--\n" : "\n");
+  if (truncated) {
+    return `${text}\n\nResults truncated after ${results.length} matches`;
   }
+  return stopped ? `${text}\n\n${formatStopReason(stopped)}` : text;
 }
 
-// New function to get the first N lines of a file
-async function headFile(filePath, numLines) {
-  const fileHandle = await fs.open(filePath, "r");
-  try {
-    const lines = [];
-    let buffer = "";
-    let bytesRead = 0;
-    const chunk = Buffer.alloc(1024); // 1KB buffer
+// Code outlines
+// Files larger than this are assumed to be generated or minified and are
+// skipped by find_symbol
+const MAX_OUTLINE_BYTES = 1024 * 1024;
 
-    // Read chunks and count lines until we have enough or reach EOF
-    while (lines.length < numLines) {
-      const result = await fileHandle.read(chunk, 0, chunk.length, bytesRead);
-      if (result.bytesRead === 0) break; // End of file
-      bytesRead += result.bytesRead;
-      buffer += chunk.slice(0, result.bytesRead).toString("utf-8");
+function formatLineRange({ startLine, endLine }) {
+  return startLine === endLine
+    ? `line ${startLine}`
+    : `lines ${startLine}-${endLine}`;
+}
 
-      const newLineIndex = buffer.lastIndexOf("\n");
-      if (newLineIndex !== -1) {
-        const completeLines = buffer.slice(0, newLineIndex).split("\n");
-        buffer = buffer.slice(newLineIndex + 1);
-        for (const line of completeLines) {
+function formatOutline(symbols, indent = "") {
+  return symbols.flatMap((symbol) => [
+    `${indent}${symbol.exported ? "export " : ""}${symbol.kind} ${
+      symbol.name
+    }${symbol.detail ? ` (${symbol.detail})` : ""}  ${formatLineRange(symbol)}`,
+    ...formatOutline(symbol.children ?? [], `${indent}  `),
+  ]);
+}
+
+// Find symbols named `name` in the JavaScript and TypeScript files below
+// rootPath, which may also be a single file
+async function findSymbols(rootPath, name, toolName, options = {}) {
+  const {
+    exact = true,
+    kinds,
+    excludePatterns = [],
+    maxResults = 100,
+    operation = IDLE_OPERATION,
+  } = options;
+  const lowerName = name.toLowerCase();
+  const isMatch = (symbol) =>
+    (exact
+      ? symbol.name === name
+      : symbol.name.toLowerCase().includes(lowerName)) &&
+    (kinds
+      ? kinds.includes(symbol.kind)
+      : symbol.kind !== "import" && symbol.kind !== "export");
+
+  const matches = [];
+  let truncated = false;
+  let skipped = 0;
+
+  async function searchFile(filePath) {
+    let symbols;
+    try {
+      if ((await fs.stat(filePath)).size > MAX_OUTLINE_BYTES) {
+        throw new Error("too large");
+      }
+      symbols = parseOutline(await fs.readFile(filePath, "utf-8"), filePath);
+    } catch (error) {
+      skipped++;
+      return;
+    }
+    for (const symbol of flattenOutline(symbols)) {
+      if (!isMatch(symbol)) {
+        continue;
+      }
+      if (matches.length >= maxResults) {
+        truncated = true;
+        return;
+      }
+      matches.push({ path: filePath, ...symbol });
+    }
+  }
+
+  async function search(currentPath) {
+    const entries = await fs.readdir(currentPath, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (truncated || operation.stopped) {
+        return;
+      }
+      operation.step();
+      const fullPath = path.join(currentPath, entry.name);
+
+      try {
+        await validatePath(fullPath, toolName);
+        if (
+          matchesExcludePattern(
+            path.relative(rootPath, fullPath),
+            excludePatterns
+          )
+        ) {
+          continue;
+        }
+        if (entry.isDirectory()) {
+          await search(fullPath);
+        } else if (entry.isFile() && canOutline(entry.name)) {
+          await searchFile(fullPath);
+        }
+      } catch (error) {
+        // Skip invalid or denied paths, as searchFiles does
+        continue;
+      }
+    }
+  }
+
+  if ((await fs.stat(rootPath)).isDirectory()) {
+    await search(rootPath);
+  } else {
+    await searchFile(rootPath);
+  }
+  return { matches, truncated, skipped, stopped: operation.stopped };
+}
+
+function formatSymbolMatches({ matches, truncated, skipped, stopped }) {
+  const lines =
+    matches.length > 0
+      ? matches.map(
+          (match) =>
+            `${match.path}:${
+              match.startLine === match.endLine
+                ? match.startLine
+                : `${match.startLine}-${match.endLine}`
+            }: ${match.exported ? "export " : ""}${match.kind} ${
+              match.container ? `${match.container}.` : ""
+            }${match.name}`
+        )
+      : ["No matching symbols found"];
+  const notes = [
+    truncated && `Results truncated after ${matches.length} symbols`,
+    skipped > 0 &&
+      `Skipped ${skipped} files that were too large, unreadable or failed to parse`,
+    stopped && formatStopReason(stopped),
+  ].filter(Boolean);
+  return notes.length > 0
+    ? `${lines.join("\n")}\n\n${notes.join("\n")}`
+    : lines.join("\n");
+}
+
+// file editing and diffing utilities
+function normalizeLineEndings(text) {
+  return text.replace(/\r\n/g, "\n");
+}
+
+// `options` can name the new file differently (newFilepath) and are passed on
+// to the diff library (context, ignoreWhitespace)
+function createUnifiedDiff(
+  originalContent,
+  newContent,
+  filepath = "file",
+  options = {}
+) {
+  const { newFilepath = filepath, ...diffOptions } = options;
+  // Ensure consistent line endings for diff
+  const normalizedOriginal = normalizeLineEndings(originalContent);
+  const normalizedNew = normalizeLineEndings(newContent);
+
+  // Undefined when diffOptions.timeout runs out
+  const patch = structuredPatch(
+    filepath,
+    newFilepath,
+    normalizedOriginal,
+    normalizedNew,
+    "original",
+    "modified",
+    diffOptions
+  );
+  return patch && formatPatch(patch);
+}
+
+// Fence a diff with enough backticks that none inside it can close the block
+function formatDiff(diff) {
+  let numBackticks = 3;
+  while (diff.includes("`".repeat(numBackticks))) {
+    numBackticks++;
+  }
+  return `${"`".repeat(numBackticks)}diff\n${diff}${"`".repeat(
+    numBackticks
+  )}\n\n`;
+}
+
+// Optimistic concurrency
+// Recently read file contents keyed by hash, so that a conflict can show what
+// changed since the model read the file
+const MAX_READ_SNAPSHOTS = 50;
+const MAX_READ_SNAPSHOT_BYTES = 1024 * 1024;
+const readSnapshots = new Map();
+
+function rememberReadSnapshot(hash, content) {
+  if (content.length > MAX_READ_SNAPSHOT_BYTES) {
+    return;
+  }
+  readSnapshots.delete(hash);
+  readSnapshots.set(hash, content);
+  if (readSnapshots.size > MAX_READ_SNAPSHOTS) {
+    readSnapshots.delete(readSnapshots.keys().next().value);
+  }
+}
+
+async function readFileWithHash(filePath, encoding = "utf-8", signal) {
+  const buffer = await fs.readFile(filePath, { signal });
+  const hash = createHash("sha256").update(buffer).digest("hex");
+  const content = decodeText(buffer, encoding).text;
+  rememberReadSnapshot(hash, content);
+  return { content, hash };
+}
+
+function formatFileVersion(hash, stats) {
+  return `sha256: ${hash}\nmodified: ${stats.mtime.toISOString()}`;
+}
+
+// Reject the operation if the file no longer matches the hash the caller saw.
+// The error includes a diff of what changed since that read when the read is
+// still cached, otherwise a diff from the current content to `proposedContent`.
+// The current content is decoded with the encoding the operation itself uses.
+async function assertFileUnchanged(
+  filePath,
+  expectedHash,
+  { encoding = "utf-8", proposedContent } = {}
+) {
+  if (!expectedHash) {
+    return;
+  }
+  const stats = await fs.stat(filePath).catch(() => null);
+  if (!stats) {
+    throw new Error(
+      `Conflict: ${filePath} no longer exists (expected sha256 ${expectedHash})`
+    );
+  }
+  const currentHash = await hashFile(filePath);
+  if (currentHash === expectedHash) {
+    return;
+  }
+
+  const message = [
+    `Conflict: ${filePath} has changed since it was read`,
+    `expected sha256: ${expectedHash}`,
+    `current ${formatFileVersion(currentHash, stats)}`,
+  ];
+  // Content that does not decode cleanly is not worth diffing
+  const currentContent = (
+    await readTextFile(filePath, encoding).catch(() => null)
+  )?.text;
+  const previousContent = readSnapshots.get(expectedHash);
+  if (currentContent === undefined) {
+    message.push("Read the file again before retrying.");
+  } else if (previousContent !== undefined) {
+    message.push(
+      "Changes since it was read:",
+      formatDiff(createUnifiedDiff(previousContent, currentContent, filePath))
+    );
+  } else if (proposedContent !== undefined) {
+    message.push(
+      "Difference between the current content and your content:",
+      formatDiff(createUnifiedDiff(currentContent, proposedContent, filePath))
+    );
+  } else {
+    message.push("Read the file again before retrying.");
+  }
+  throw new Error(message.join("\n"));
+}
+
+function lineNumberAt(content, index) {
+  let line = 1;
+  for (let i = content.indexOf("\n"); i !== -1 && i < index;) {
+    line++;
+    i = content.indexOf("\n", i + 1);
+  }
+  return line;
+}
+
+// Find every non-overlapping place an edit matches, with the text to put
+// there. Exact matches are preferred; only when there are none are lines
+// compared with their surrounding whitespace ignored.
+function findEditMatches(content, edit) {
+  const normalizedOld = normalizeLineEndings(edit.oldText);
+  const normalizedNew = normalizeLineEndings(edit.newText);
+
+  if (edit.regex) {
+    let pattern;
+    try {
+      pattern = new RegExp(normalizedOld, edit.unicode ? "gmu" : "gm");
+    } catch (error) {
+      throw new Error(`Invalid regular expression: ${error.message}`);
+    }
+    const matches = [...content.matchAll(pattern)]
+      .filter((match) => match[0] !== "")
+      .map((match) => ({
+        index: match.index,
+        length: match[0].length,
+        replacement: expandReplacement(normalizedNew, match),
+      }));
+    return { matches, fuzzy: false };
+  }
+
+  const exactMatches = [];
+  for (
+    let index = content.indexOf(normalizedOld);
+    index !== -1 && normalizedOld !== "";
+    index = content.indexOf(normalizedOld, index + normalizedOld.length)
+  ) {
+    exactMatches.push({
+      index,
+      length: normalizedOld.length,
+      replacement: normalizedNew,
+    });
+  }
+  if (exactMatches.length > 0) {
+    return { matches: exactMatches, fuzzy: false };
+  }
+
+  // Otherwise, try line-by-line matching with flexibility for whitespace
+  const oldLines = normalizedOld.split("\n");
+  const contentLines = content.split("\n");
+  const lineStarts = [];
+  let offset = 0;
+  for (const line of contentLines) {
+    lineStarts.push(offset);
+    offset += line.length + 1;
+  }
+
+  const fuzzyMatches = [];
+  for (let i = 0; i <= contentLines.length - oldLines.length; i++) {
+    const potentialMatch = contentLines.slice(i, i + oldLines.length);
+
+    // Compare lines with normalized whitespace
+    const isMatch = oldLines.every((oldLine, j) => {
+      const contentLine = potentialMatch[j];
+      return oldLine.trim() === contentLine.trim();
+    });
+    if (!isMatch) {
+      continue;
+    }
+
+    // Preserve original indentation of first line
+    const originalIndent = contentLines[i].match(/^\s*/)?.[0] || "";
+    const newLines = normalizedNew.split("\n").map((line, j) => {
+      if (j === 0) return originalIndent + line.trimStart();
+      // For subsequent lines, try to preserve relative indentation
+      const oldIndent = oldLines[j]?.match(/^\s*/)?.[0] || "";
+      const newIndent = line.match(/^\s*/)?.[0] || "";
+      if (oldIndent && newIndent) {
+        const relativeIndent = newIndent.length - oldIndent.length;
+        return (
+          originalIndent +
+          " ".repeat(Math.max(0, relativeIndent)) +
+          line.trimStart()
+        );
+      }
+      return line;
+    });
+
+    fuzzyMatches.push({
+      index: lineStarts[i],
+      length: potentialMatch.join("\n").length,
+      replacement: newLines.join("\n"),
+    });
+    i += oldLines.length - 1;
+  }
+  return { matches: fuzzyMatches, fuzzy: true };
+}
+
+// Pick the matches an edit applies to from its `occurrence` and
+// `expectedMatches` options, rejecting ambiguous edits
+function selectEditMatches(content, edit, matches, label) {
+  const lines = () =>
+    matches.map((match) => lineNumberAt(content, match.index)).join(", ");
+
+  if (
+    edit.expectedMatches !== undefined &&
+    matches.length !== edit.expectedMatches
+  ) {
+    throw new Error(
+      `Expected ${edit.expectedMatches} matches for ${label} but found ${
+        matches.length
+      }${matches.length > 0 ? ` (lines ${lines()})` : ""}`
+    );
+  }
+  if (matches.length === 0) {
+    throw new Error(
+      `Could not find exact match for ${label}:\n${edit.oldText}`
+    );
+  }
+
+  const occurrence =
+    edit.occurrence ?? (edit.expectedMatches !== undefined ? "all" : undefined);
+  if (occurrence === "all") {
+    return matches;
+  }
+  if (occurrence === "first") {
+    return matches.slice(0, 1);
+  }
+  if (typeof occurrence === "number") {
+    if (occurrence > matches.length) {
+      throw new Error(
+        `Occurrence ${occurrence} requested for ${label} but only ${matches.length} matches found (lines ${lines()})`
+      );
+    }
+    return [matches[occurrence - 1]];
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `Ambiguous ${label}: ${matches.length} matches found at lines ${lines()}. ` +
+        "Add surrounding context to oldText, or set 'occurrence' or 'expectedMatches'."
+    );
+  }
+  return matches;
+}
+
+// Apply edits in order. Returns the new content and a note for every edit that
+// only matched once whitespace was ignored.
+function applyEditsToContent(content, edits) {
+  let modifiedContent = content;
+  const notes = [];
+
+  edits.forEach((edit, index) => {
+    const label = `edit #${index + 1}`;
+    const { matches, fuzzy } = findEditMatches(modifiedContent, edit);
+    const selected = selectEditMatches(modifiedContent, edit, matches, label);
+    if (fuzzy) {
+      notes.push(
+        `Note: ${label} matched only after ignoring whitespace differences (line ${selected
+          .map((match) => lineNumberAt(modifiedContent, match.index))
+          .join(", ")})`
+      );
+    }
+
+    // Replace from the end so that earlier indices stay valid
+    for (const match of [...selected].reverse()) {
+      modifiedContent =
+        modifiedContent.slice(0, match.index) +
+        match.replacement +
+        modifiedContent.slice(match.index + match.length);
+    }
+  });
+
+  return { content: modifiedContent, notes };
+}
+
+async function applyFileEdits(
+  filePath,
+  edits,
+  dryRun = false,
+  encoding = "utf-8"
+) {
+  // Read file content and normalize line endings; the original line endings,
+  // BOM and final newline are restored when writing
+  const { text, format } = await readTextFile(filePath, encoding);
+  const content = normalizeLineEndings(text);
+  const { content: modifiedContent, notes } = applyEditsToContent(
+    content,
+    edits
+  );
+
+  // Create unified diff
+  const diff = createUnifiedDiff(content, modifiedContent, filePath);
+
+  if (!dryRun) {
+    await writeFileAtomic(filePath, encodeText(modifiedContent, format));
+  }
+
+  return { diff, notes };
+}
+
+// Audit logging
+// Run a mutating operation and record the state of the affected paths before
+// and after it, whether it succeeds or fails
+async function auditMutation(toolName, filePaths, mutate) {
+  const before = await Promise.all(filePaths.map(snapshotPath));
+  try {
+    const result = await mutate();
+    await appendAuditEntry(auditLogFile, auditLogMaxBytes, {
+      tool: toolName,
+      paths: filePaths,
+      before,
+      after: await Promise.all(filePaths.map(snapshotPath)),
+      outcome: "success",
+    });
+    return result;
+  } catch (error) {
+    await appendAuditEntry(auditLogFile, auditLogMaxBytes, {
+      tool: toolName,
+      paths: filePaths,
+      before,
+      after: await Promise.all(filePaths.map(snapshotPath)),
+      outcome: "error",
+      error: error instanceof Error ? error.message : String(error),
+    });
+    error.audited = true;
+    throw error;
+  }
+}
+
+// Record a mutating call that was rejected before it touched the file system
+async function auditRejectedCall(toolName, toolArgs, error) {
+  const requestedPaths = [
+    toolArgs?.path,
+    toolArgs?.source,
+    toolArgs?.destination,
+    ...(Array.isArray(toolArgs?.files)
+      ? toolArgs.files.map((file) => file?.path)
+      : []),
+  ]
+    .filter((p) => typeof p === "string")
+    .map((p) => path.resolve(expandHome(p)));
+  const errorMessage = error instanceof Error ? error.message : String(error);
+  await appendAuditEntry(auditLogFile, auditLogMaxBytes, {
+    tool: toolName,
+    paths: requestedPaths,
+    outcome: errorMessage.startsWith("Access denied") ? "denied" : "error",
+    error: errorMessage,
+  });
+}
+
+// Multi-file changes
+function formatChangesDiff(changes) {
+  return formatDiff(
+    changes
+      .map((change) =>
+        createUnifiedDiff(
+          change.previous ?? "",
+          change.content ?? "",
+          change.path
+        )
+      )
+      .join("\n")
+  );
+}
+
+// Work out the new content of every file in a batch edit without writing
+// anything. Entries for the same file are applied one after another.
+async function planBatchEdit(files, toolName) {
+  const planned = new Map();
+  const notes = [];
+  const failures = [];
+
+  for (const file of files) {
+    try {
+      const validPath = await validatePath(file.path, toolName);
+      if (!planned.has(validPath)) {
+        await assertFileUnchanged(validPath, file.expectedHash, {
+          encoding: file.encoding,
+        });
+        const { text, format } = await readTextFile(validPath, file.encoding);
+        const content = normalizeLineEndings(text);
+        planned.set(validPath, {
+          path: validPath,
+          content,
+          previous: content,
+          format,
+        });
+      }
+      const change = planned.get(validPath);
+      const result = applyEditsToContent(change.content, file.edits);
+      change.content = result.content;
+      notes.push(...result.notes.map((note) => `${file.path}: ${note}`));
+    } catch (error) {
+      failures.push(
+        `${file.path}: ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+  }
+
+  return { changes: [...planned.values()], notes, failures };
+}
+
+// Work out the new content of every file touched by a patch without writing
+// anything. Returns the planned changes, a line per file and any hunks that
+// failed to apply.
+async function planPatch(basePath, filePatches, fuzz, toolName) {
+  const planned = new Map();
+  const formats = new Map();
+  const summary = [];
+  const failures = [];
+
+  async function currentContent(filePath) {
+    if (planned.has(filePath)) {
+      return planned.get(filePath).content;
+    }
+    let decoded;
+    try {
+      decoded = await readTextFile(filePath);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+    // Keep the file's line endings and BOM, but let the patch decide whether
+    // it ends with a newline
+    formats.set(filePath, { ...decoded.format, finalNewline: undefined });
+    return normalizeLineEndings(decoded.text);
+  }
+
+  function plan(filePath, content, previous, format) {
+    const existing = planned.get(filePath);
+    planned.set(filePath, {
+      path: filePath,
+      content,
+      previous: existing ? existing.previous : previous,
+      format: existing?.format ?? format,
+    });
+  }
+
+  for (const filePatch of filePatches) {
+    const label = filePatch.newPath ?? filePatch.oldPath;
+    const oldPath =
+      filePatch.oldPath &&
+      (await validatePath(path.resolve(basePath, filePatch.oldPath), toolName));
+    const newPath =
+      filePatch.newPath &&
+      (await validateCreatablePath(
+        path.resolve(basePath, filePatch.newPath),
+        toolName
+      ));
+
+    const original = oldPath ? await currentContent(oldPath) : "";
+    if (original === null) {
+      failures.push(`${label}: file does not exist`);
+      continue;
+    }
+    if (
+      newPath &&
+      newPath !== oldPath &&
+      (await currentContent(newPath)) !== null
+    ) {
+      failures.push(`${label}: file already exists`);
+      continue;
+    }
+
+    const result = applyHunks(original, filePatch.hunks, fuzz);
+    failures.push(...result.failures.map((failure) => `${label}: ${failure}`));
+    if (result.failures.length > 0) {
+      continue;
+    }
+
+    if (!newPath) {
+      if (result.content !== "") {
+        failures.push(`${label}: deletion does not remove the whole file`);
+        continue;
+      }
+      plan(oldPath, null, original);
+      summary.push(`deleted ${filePatch.oldPath}`);
+    } else if (!oldPath) {
+      plan(newPath, result.content, null);
+      summary.push(`created ${filePatch.newPath}`);
+    } else if (newPath !== oldPath) {
+      plan(newPath, result.content, null, formats.get(oldPath));
+      plan(oldPath, null, original);
+      summary.push(`renamed ${filePatch.oldPath} -> ${filePatch.newPath}`);
+    } else {
+      plan(newPath, result.content, original, formats.get(newPath));
+      summary.push(
+        `modified ${filePatch.newPath} (${filePatch.hunks.length} hunks)`
+      );
+    }
+    summary.push(...result.notes.map((note) => `  ${label}: ${note}`));
+  }
+
+  return { changes: [...planned.values()], summary, failures };
+}
+
+// Copying
+// List everything a copy would create, validating every source and
+// destination path. Entries that are excluded, denied or otherwise invalid are
+// skipped and reported rather than failing the whole copy.
+async function planCopy(sourcePath, destinationPath, options, toolName) {
+  const { overwrite, excludePatterns } = options;
+  const operations = [];
+  const skipped = [];
+  const conflicts = [];
+
+  async function visit(source, destination) {
+    const stats = await fs.lstat(source);
+    const existing = await fs.lstat(destination).catch(() => null);
+    const type = stats.isDirectory()
+      ? "directory"
+      : stats.isSymbolicLink()
+        ? "symlink"
+        : "file";
+
+    if (type === "symlink") {
+      // Links are copied as they are, so a relative link may point somewhere
+      // else from its new location
+      const target = path.resolve(
+        path.dirname(destination),
+        await fs.readlink(source)
+      );
+      await validateCreatablePath(target, toolName);
+    }
+    if (existing) {
+      if (
+        type === "directory" ? !existing.isDirectory() : existing.isDirectory()
+      ) {
+        conflicts.push(
+          `${destination} (${type} would replace existing ${existing.isDirectory() ? "directory" : "file"})`
+        );
+        return;
+      }
+      if (type !== "directory" && !overwrite) {
+        conflicts.push(destination);
+        return;
+      }
+    }
+    operations.push({
+      type,
+      source,
+      destination,
+      exists: Boolean(existing),
+      replacesSymlink: Boolean(existing?.isSymbolicLink()),
+      stats,
+    });
+
+    if (type !== "directory") {
+      return;
+    }
+    for (const entry of await fs.readdir(source)) {
+      const childSource = path.join(source, entry);
+      const relativePath = path.relative(sourcePath, childSource);
+      if (matchesExcludePattern(relativePath, excludePatterns)) {
+        continue;
+      }
+      // Destinations are used as joined rather than resolved, so that an
+      // existing symlink there is replaced instead of written through
+      const childDestination = path.join(destination, entry);
+      try {
+        await validatePath(childSource, toolName);
+        await validateCreatablePath(childDestination, toolName);
+        await visit(childSource, childDestination);
+      } catch (error) {
+        skipped.push(
+          `${relativePath}: ${error instanceof Error ? error.message : String(error)}`
+        );
+      }
+    }
+  }
+
+  await visit(sourcePath, destinationPath);
+  if (conflicts.length > 0) {
+    throw new Error(
+      `Destination already exists${overwrite ? "" : " (set overwrite to replace files)"}:\n${conflicts.join("\n")}`
+    );
+  }
+  return { operations, skipped };
+}
+
+// Carry out planned copy operations in order, so that directories exist
+// before their contents. Directory timestamps are set last because copying
+// into a directory updates its modification time. Returns the copied links
+// that were removed again because they lead outside the allowed directories.
+async function executeCopy(operations, preserveTimestamps, toolName) {
+  for (const operation of operations) {
+    const { type, source, destination, stats } = operation;
+    if (operation.replacesSymlink) {
+      await fs.rm(destination);
+    }
+    if (type === "directory") {
+      await fs.mkdir(destination, { recursive: true });
+    } else if (type === "symlink") {
+      await fs.rm(destination, { force: true });
+      await fs.symlink(await fs.readlink(source), destination);
+    } else {
+      // copyFile keeps the file's bytes and permission bits as they are
+      await fs.copyFile(source, destination);
+    }
+    if (preserveTimestamps && type === "file") {
+      await fs.utimes(destination, stats.atime, stats.mtime);
+    }
+  }
+
+  // Planning only checked each link on its own; together, links can still
+  // form a chain that leaves the allowed directories
+  const removedLinks = [];
+  for (const { type, destination } of operations) {
+    if (type !== "symlink") {
+      continue;
+    }
+    try {
+      await validatePath(destination, toolName);
+    } catch (error) {
+      await fs.rm(destination);
+      removedLinks.push(
+        `${destination}: ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+  }
+
+  if (preserveTimestamps) {
+    for (const { type, destination, stats } of [...operations].reverse()) {
+      if (type === "directory") {
+        await fs.utimes(destination, stats.atime, stats.mtime);
+      }
+    }
+  }
+  return removedLinks;
+}
+
+function formatCopyOperations(operations) {
+  return operations
+    .map(
+      ({ type, source, destination, exists, stats }) =>
+        `[${type === "directory" ? "DIR" : type === "symlink" ? "LINK" : "FILE"}] ${source} -> ${destination}` +
+        (type === "file"
+          ? ` (${formatSize(stats.size)}${exists ? ", overwrite" : ""})`
+          : "")
+    )
+    .join("\n");
+}
+
+// Archives
+// Collect archive entries for the given sources, each named relative to the
+// directory containing it. Paths that are excluded or fail validation are
+// skipped and reported.
+async function collectArchiveEntries(
+  sourcePaths,
+  archivePath,
+  excludePatterns,
+  toolName,
+  operation = IDLE_OPERATION
+) {
+  const entries = [];
+  const skipped = [];
+
+  async function visit(fullPath, baseDir) {
+    const name = path.relative(baseDir, fullPath).split(path.sep).join("/");
+    if (fullPath === archivePath) {
+      return;
+    }
+    const stats = await fs.lstat(fullPath);
+    const entry = {
+      name,
+      size: stats.isFile() ? stats.size : 0,
+      mode: stats.mode & 0o7777,
+      mtime: stats.mtime,
+      linkname: "",
+      getData: () => fs.readFile(fullPath, { signal: operation.signal }),
+    };
+    if (stats.isDirectory()) {
+      entries.push({ ...entry, type: "directory" });
+    } else if (stats.isSymbolicLink()) {
+      entries.push({
+        ...entry,
+        type: "symlink",
+        linkname: await fs.readlink(fullPath),
+      });
+      return;
+    } else if (stats.isFile()) {
+      entries.push({ ...entry, type: "file" });
+      return;
+    } else {
+      skipped.push(`${name}: not a regular file, directory or symlink`);
+      return;
+    }
+
+    for (const child of await fs.readdir(fullPath)) {
+      // An incomplete archive is no use, so stopping fails the whole call
+      if (operation.stopped) {
+        throw new Error(formatStopError(operation.stopped));
+      }
+      operation.step();
+      const childPath = path.join(fullPath, child);
+      const relativePath = path.relative(baseDir, childPath);
+      if (matchesExcludePattern(relativePath, excludePatterns)) {
+        continue;
+      }
+      try {
+        await validatePath(childPath, toolName);
+        await visit(childPath, baseDir);
+      } catch (error) {
+        skipped.push(
+          `${relativePath}: ${error instanceof Error ? error.message : String(error)}`
+        );
+      }
+    }
+  }
+
+  for (const sourcePath of sourcePaths) {
+    await visit(sourcePath, path.dirname(sourcePath));
+  }
+  return { entries, skipped };
+}
+
+// Decide where every entry of an archive goes. Nothing is extracted if any
+// entry would escape the destination, is denied or would replace an existing
+// file without `overwrite`; entries of unsupported types are skipped.
+async function planExtraction(entries, destination, overwrite, toolName) {
+  const operations = [];
+  const skipped = [];
+  const problems = findSymlinkEntryProblems(destination, entries);
+
+  for (const entry of entries) {
+    if (entry.type === "other") {
+      skipped.push(`${entry.name}: unsupported entry type`);
+      continue;
+    }
+    try {
+      const target = resolveEntryPath(destination, entry.name);
+      if (entry.type === "symlink") {
+        const linkTarget = path.resolve(path.dirname(target), entry.linkname);
+        if (!isPathWithinDirectory(linkTarget, destination)) {
+          throw new Error(
+            `Archive entry is a symlink pointing outside the target directory: ${entry.name} -> ${entry.linkname}`
+          );
+        }
+      }
+      await validateCreatablePath(target, toolName);
+
+      const existing = await fs.lstat(target).catch(() => null);
+      if (existing && !(entry.type === "directory" && existing.isDirectory())) {
+        if (!overwrite) {
+          throw new Error(`Destination already exists: ${target}`);
+        }
+        if (existing.isDirectory()) {
+          throw new Error(
+            `Cannot replace directory with ${entry.type}: ${target}`
+          );
+        }
+      }
+      operations.push({ entry, target, exists: Boolean(existing) });
+    } catch (error) {
+      problems.push(error instanceof Error ? error.message : String(error));
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Archive cannot be extracted, nothing was written:\n${problems.join("\n")}`
+    );
+  }
+  return { operations, skipped };
+}
+
+// Every directory is validated again right before it is used: planning
+// cannot see symlinks that appear on disk while the archive is extracted
+async function executeExtraction(operations, toolName) {
+  let extractedBytes = 0;
+  for (const { entry, target, exists } of operations) {
+    if (entry.type === "directory") {
+      await validateCreatablePath(target, toolName);
+      await fs.mkdir(target, { recursive: true });
+      continue;
+    }
+    await validateCreatablePath(path.dirname(target), toolName);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    if (entry.type === "symlink") {
+      if (exists) {
+        await fs.rm(target);
+      }
+      await fs.symlink(entry.linkname, target);
+      continue;
+    }
+    const data = await entry.getData();
+    extractedBytes += data.length;
+    if (extractedBytes > maxArchiveBytes) {
+      throw new Error(
+        `Archive is too large to extract: its contents exceed the limit of ${formatSize(
+          maxArchiveBytes
+        )}`
+      );
+    }
+    await writeFileAtomic(target, data);
+    // Never restore setuid, setgid or sticky bits from an archive
+    if (entry.mode) {
+      await fs.chmod(target, entry.mode & 0o777);
+    }
+    await fs.utimes(target, entry.mtime, entry.mtime);
+  }
+}
+
+// Archives are read whole, so refuse large ones before reading them
+async function readArchive(archivePath, format) {
+  const stats = await fs.stat(archivePath);
+  if (stats.size > maxArchiveBytes) {
+    throw new Error(
+      `Archive is too large: ${formatSize(
+        stats.size
+      )} exceeds the limit of ${formatSize(maxArchiveBytes)}`
+    );
+  }
+  return parseArchive(await fs.readFile(archivePath), format, maxArchiveBytes);
+}
+
+function formatArchiveEntries(entries) {
+  return entries
+    .map((entry) => {
+      switch (entry.type) {
+        case "directory":
+          return `[DIR] ${entry.name}/`;
+        case "symlink":
+          return `[LINK] ${entry.name} -> ${entry.linkname}`;
+        case "file":
+          return `[FILE] ${entry.name} (${formatSize(entry.size)})`;
+        default:
+          return `[OTHER] ${entry.name}`;
+      }
+    })
+    .join("\n");
+}
+
+function countArchiveEntries(entries) {
+  const count = (type) => entries.filter((entry) => entry.type === type).length;
+  return `${count("file")} files, ${count("directory")} directories and ${count(
+    "symlink"
+  )} symlinks`;
+}
+
+// Space analysis
+// Scan everything below rootPath into a tree of { name, path, type, size }
+// nodes, without following symlinks. Directory sizes include everything below
+// them; a file with several hard links is only counted once and its later
+// links are marked `hardLink`. Entries that cannot be read or are denied are
+// counted in `skipped`.
+async function scanDirectory(
+  rootPath,
+  toolName,
+  excludePatterns = [],
+  operation = IDLE_OPERATION
+) {
+  const seenInodes = new Set();
+  let skipped = 0;
+
+  async function scan(directoryPath) {
+    const node = {
+      name: path.basename(directoryPath),
+      path: directoryPath,
+      type: "directory",
+      size: 0,
+      fileCount: 0,
+      directoryCount: 0,
+      children: [],
+    };
+
+    for (const entry of await fs.readdir(directoryPath, {
+      withFileTypes: true,
+    })) {
+      if (operation.stopped) {
+        break;
+      }
+      operation.step();
+      const entryPath = path.join(directoryPath, entry.name);
+      if (
+        matchesExcludePattern(
+          path.relative(rootPath, entryPath),
+          excludePatterns
+        )
+      ) {
+        continue;
+      }
+      try {
+        if (entry.isDirectory()) {
+          const child = await scan(await validatePath(entryPath, toolName));
+          node.children.push(child);
+          node.size += child.size;
+          node.fileCount += child.fileCount;
+          node.directoryCount += child.directoryCount + 1;
+          continue;
+        }
+        if (getPolicyDenial(entryPath, toolName)) {
+          skipped++;
+          continue;
+        }
+        const stats = await fs.lstat(entryPath);
+        const inode = `${stats.dev}:${stats.ino}`;
+        const hardLink = stats.nlink > 1 && seenInodes.has(inode);
+        seenInodes.add(inode);
+        node.children.push({
+          name: entry.name,
+          path: entryPath,
+          type: stats.isFile() ? "file" : "other",
+          size: stats.size,
+          hardLink,
+        });
+        node.size += hardLink ? 0 : stats.size;
+        node.fileCount++;
+      } catch (error) {
+        skipped++;
+      }
+    }
+    return node;
+  }
+
+  const tree = await scan(rootPath);
+  return { tree, skipped, stopped: operation.stopped };
+}
+
+// Show the largest entries of each directory down to maxDepth, as
+// "size  share-of-total  name"
+function formatDiskUsage(tree, maxDepth, top) {
+  const total = tree.size || 1;
+  const line = (size, label) =>
+    `${formatSize(size).padStart(10)}  ${((size / total) * 100)
+      .toFixed(1)
+      .padStart(5)}%  ${label}`;
+  const lines = [line(tree.size, `${tree.path}/`)];
+
+  function addChildren(node, depth, indent) {
+    const children = [...node.children].sort((a, b) => b.size - a.size);
+    for (const child of children.slice(0, top)) {
+      lines.push(
+        line(
+          child.size,
+          `${indent}${child.name}${child.type === "directory" ? "/" : ""}${
+            child.hardLink ? " (hard link, counted once)" : ""
+          }`
+        )
+      );
+      if (child.type === "directory" && depth < maxDepth) {
+        addChildren(child, depth + 1, indent + "  ");
+      }
+    }
+    const rest = children.slice(top);
+    if (rest.length > 0) {
+      lines.push(
+        line(
+          rest.reduce((sum, child) => sum + child.size, 0),
+          `${indent}... ${rest.length} more entries`
+        )
+      );
+    }
+  }
+
+  addChildren(tree, 1, "  ");
+  return lines.join("\n");
+}
+
+// Group files with identical content: first by size, then by SHA-256 of the
+// files whose sizes collide. Hard links to the same file are not duplicates.
+async function findDuplicateFiles(tree, minSize, operation = IDLE_OPERATION) {
+  const bySize = new Map();
+  (function collect(node) {
+    for (const child of node.children) {
+      if (child.type === "directory") {
+        collect(child);
+      } else if (
+        child.type === "file" &&
+        !child.hardLink &&
+        child.size >= minSize
+      ) {
+        if (!bySize.has(child.size)) {
+          bySize.set(child.size, []);
+        }
+        bySize.get(child.size).push(child);
+      }
+    }
+  })(tree);
+
+  const groups = [];
+  for (const [size, files] of bySize) {
+    if (files.length < 2) {
+      continue;
+    }
+    const byHash = new Map();
+    for (const file of files) {
+      if (operation.stopped) {
+        break;
+      }
+      operation.step();
+      const hash = await hashFile(file.path).catch(() => null);
+      if (hash) {
+        if (!byHash.has(hash)) {
+          byHash.set(hash, []);
+        }
+        byHash.get(hash).push(file.path);
+      }
+    }
+    for (const [hash, paths] of byHash) {
+      if (paths.length > 1) {
+        groups.push({ hash, size, paths, wasted: size * (paths.length - 1) });
+      }
+    }
+  }
+  return groups.sort((a, b) => b.wasted - a.wasted);
+}
+
+// Helper functions
+function formatSize(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  if (bytes === 0) return "0 B";
+
+  const i = Math.floor(Math.log(bytes) / Math.log(1024));
+  if (i === 0) return `${bytes} ${units[i]}`;
+
+  return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${units[i]}`;
+}
+
+// Memory-efficient implementation to get the last N lines of a file
+async function tailFile(filePath, numLines, signal) {
+  const CHUNK_SIZE = 1024; // Read 1KB at a time
+  const stats = await fs.stat(filePath);
+  const fileSize = stats.size;
+
+  if (fileSize === 0) return "";
+
+  // Open file for reading
+  const fileHandle = await fs.open(filePath, "r");
+  try {
+    const lines = [];
+    let position = fileSize;
+    let chunk = Buffer.alloc(CHUNK_SIZE);
+    let linesFound = 0;
+    let remainingText = "";
+
+    // Read chunks from the end of the file until we have enough lines
+    while (position > 0 && linesFound < numLines) {
+      signal?.throwIfAborted();
+      const size = Math.min(CHUNK_SIZE, position);
+      position -= size;
+
+      const { bytesRead } = await fileHandle.read(chunk, 0, size, position);
+      if (!bytesRead) break;
+
+      // Get the chunk as a string and prepend any remaining text from previous iteration
+      const readData = chunk.slice(0, bytesRead).toString("utf-8");
+      const chunkText = readData + remainingText;
+
+      // Split by newlines and count
+      const chunkLines = normalizeLineEndings(chunkText).split("\n");
+
+      // If this isn't the end of the file, the first line is likely incomplete
+      // Save it to prepend to the next chunk
+      if (position > 0) {
+        remainingText = chunkLines[0];
+        chunkLines.shift(); // Remove the first (incomplete) line
+      }
+
+      // Add lines to our result (up to the number we need)
+      for (
+        let i = chunkLines.length - 1;
+        i >= 0 && linesFound < numLines;
+        i--
+      ) {
+        lines.unshift(chunkLines[i]);
+        linesFound++;
+      }
+    }
+
+    return lines.join("\n");
+  } finally {
+    await fileHandle.close();
+  }
+}
+
+// New function to get the first N lines of a file
+async function headFile(filePath, numLines, signal) {
+  const fileHandle = await fs.open(filePath, "r");
+  try {
+    const lines = [];
+    let buffer = "";
+    let bytesRead = 0;
+    const chunk = Buffer.alloc(1024); // 1KB buffer
+
+    // Read chunks and count lines until we have enough or reach EOF
+    while (lines.length < numLines) {
+      signal?.throwIfAborted();
+      const result = await fileHandle.read(chunk, 0, chunk.length, bytesRead);
+      if (result.bytesRead === 0) break; // End of file
+      bytesRead += result.bytesRead;
+      buffer += chunk.slice(0, result.bytesRead).toString("utf-8");
+
+      const newLineIndex = buffer.lastIndexOf("\n");
+      if (newLineIndex !== -1) {
+        const completeLines = buffer.slice(0, newLineIndex).split("\n");
+        buffer = buffer.slice(newLineIndex + 1);
+        for (const line of completeLines) {
           lines.push(line);
           if (lines.length >= numLines) break;
         }
       }
-    }
+    }
+
+    // If there is leftover content and we still need lines, add it
+    if (buffer.length > 0 && lines.length < numLines) {
+      lines.push(buffer);
+    }
+
+    return lines.join("\n");
+  } finally {
+    await fileHandle.close();
+  }
+}
+
+// Read lines startLine..endLine (1-based, inclusive) without loading the
+// whole file. Also reports where the next page starts if the file continues.
+async function readLineRange(filePath, startLine, endLine, signal) {
+  const fileHandle = await fs.open(filePath, "r");
+  try {
+    const { size } = await fileHandle.stat();
+    const lines = [];
+    const chunk = Buffer.alloc(64 * 1024);
+    let lineParts = [];
+    let lineNumber = 1;
+    let position = 0;
+
+    const decodeLine = (parts) =>
+      Buffer.concat(parts).toString("utf-8").replace(/\r$/, "");
+
+    while (position < size) {
+      signal?.throwIfAborted();
+      const { bytesRead } = await fileHandle.read(
+        chunk,
+        0,
+        chunk.length,
+        position
+      );
+      if (bytesRead === 0) break; // End of file
+      const data = chunk.subarray(0, bytesRead);
+
+      let lineStart = 0;
+      let newLineIndex;
+      while ((newLineIndex = data.indexOf(0x0a, lineStart)) !== -1) {
+        if (lineNumber >= startLine) {
+          lines.push(
+            decodeLine([...lineParts, data.subarray(lineStart, newLineIndex)])
+          );
+        }
+        lineParts = [];
+        lineStart = newLineIndex + 1;
+        lineNumber++;
+
+        if (lineNumber > endLine) {
+          const nextOffset = position + lineStart;
+          return nextOffset < size
+            ? { lines, nextLine: lineNumber, nextOffset }
+            : { lines };
+        }
+      }
+
+      // Keep the unfinished line; copy it because the chunk buffer is reused
+      if (lineNumber >= startLine && lineStart < bytesRead) {
+        lineParts.push(Buffer.from(data.subarray(lineStart)));
+      }
+      position += bytesRead;
+    }
+
+    if (lineParts.length > 0) {
+      lines.push(decodeLine(lineParts));
+    }
+    return { lines };
+  } finally {
+    await fileHandle.close();
+  }
+}
+
+// Number of bytes in a UTF-8 sequence, given its first byte
+function utf8SequenceLength(byte) {
+  if (byte >= 0xf0) return 4;
+  if (byte >= 0xe0) return 3;
+  if (byte >= 0xc0) return 2;
+  return 1;
+}
+
+// Read `length` bytes from `offset`, moved to UTF-8 character boundaries so
+// that no character is split between two pages
+async function readByteRange(filePath, offset, length) {
+  const fileHandle = await fs.open(filePath, "r");
+  try {
+    const { size } = await fileHandle.stat();
+    if (offset >= size) {
+      return { text: "", start: offset };
+    }
+
+    // Read a few extra bytes so a character straddling the end can be completed
+    const buffer = Buffer.alloc(Math.min(length + 3, size - offset));
+    const { bytesRead } = await fileHandle.read(
+      buffer,
+      0,
+      buffer.length,
+      offset
+    );
+    const data = buffer.subarray(0, bytesRead);
+
+    let start = 0;
+    while (start < data.length && (data[start] & 0xc0) === 0x80) {
+      start++;
+    }
+    let end = Math.min(length, data.length);
+    while (end > start && (data[end] & 0xc0) === 0x80) {
+      end--;
+    }
+    if (end <= start) {
+      end = Math.min(data.length, start + utf8SequenceLength(data[start]));
+    }
+
+    const nextOffset = offset + end;
+    return {
+      text: data.subarray(start, end).toString("utf-8"),
+      start: offset + start,
+      ...(nextOffset < size && { nextOffset }),
+    };
+  } finally {
+    await fileHandle.close();
+  }
+}
+
+// Count lines the same way text.split("\n") would, streaming the file
+async function countLines(filePath, signal) {
+  let count = 1;
+  for await (const chunk of createReadStream(filePath, { signal })) {
+    for (
+      let i = chunk.indexOf(0x0a);
+      i !== -1;
+      i = chunk.indexOf(0x0a, i + 1)
+    ) {
+      count++;
+    }
+  }
+  return count;
+}
+
+// A trailing empty string is the end of the final newline rather than a
+// line of its own, so it is left unnumbered
+function addLineNumbers(lines, firstLineNumber) {
+  const count = lines.at(-1) === "" ? lines.length - 1 : lines.length;
+  const width = String(firstLineNumber + count - 1).length;
+  return lines.map((line, i) =>
+    i < count ? `${String(firstLineNumber + i).padStart(width)}\t${line}` : line
+  );
+}
+
+// MIME types by file extension, used for resource reads
+const MIME_TYPES = {
+  ".txt": "text/plain",
+  ".md": "text/markdown",
+  ".html": "text/html",
+  ".htm": "text/html",
+  ".css": "text/css",
+  ".csv": "text/csv",
+  ".xml": "application/xml",
+  ".js": "text/javascript",
+  ".mjs": "text/javascript",
+  ".cjs": "text/javascript",
+  ".ts": "text/x-typescript",
+  ".jsx": "text/javascript",
+  ".tsx": "text/x-typescript",
+  ".json": "application/json",
+  ".yaml": "application/yaml",
+  ".yml": "application/yaml",
+  ".py": "text/x-python",
+  ".sh": "application/x-sh",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".bmp": "image/bmp",
+  ".ico": "image/x-icon",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".gz": "application/gzip",
+  ".tar": "application/x-tar",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".mp4": "video/mp4",
+  ".wasm": "application/wasm",
+};
+
+const TEXT_MIME_TYPES = new Set([
+  "application/json",
+  "application/xml",
+  "application/yaml",
+  "application/x-sh",
+  "image/svg+xml",
+]);
+
+function getMimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()];
+}
+
+function isTextMimeType(mimeType) {
+  return mimeType.startsWith("text/") || TEXT_MIME_TYPES.has(mimeType);
+}
+
+// Leading bytes of common binary formats, for files without a known extension
+const MAGIC_NUMBERS = [
+  { bytes: [0x89, 0x50, 0x4e, 0x47], mimeType: "image/png" },
+  { bytes: [0xff, 0xd8, 0xff], mimeType: "image/jpeg" },
+  { bytes: [0x47, 0x49, 0x46, 0x38], mimeType: "image/gif" },
+  { bytes: [0x42, 0x4d], mimeType: "image/bmp" },
+  { bytes: [0x25, 0x50, 0x44, 0x46], mimeType: "application/pdf" },
+  { bytes: [0x50, 0x4b, 0x03, 0x04], mimeType: "application/zip" },
+  { bytes: [0x1f, 0x8b], mimeType: "application/gzip" },
+];
+
+function sniffMimeType(content) {
+  // WebP is a RIFF container with "WEBP" at offset 8
+  if (
+    content.subarray(0, 4).toString("latin1") === "RIFF" &&
+    content.subarray(8, 12).toString("latin1") === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  const match = MAGIC_NUMBERS.find(({ bytes }) =>
+    bytes.every((byte, i) => content[i] === byte)
+  );
+  if (match) {
+    return match.mimeType;
+  }
+  return content.subarray(0, 8000).includes(0)
+    ? "application/octet-stream"
+    : "text/plain";
+}
+
+function detectMimeType(filePath, content) {
+  return getMimeType(filePath) ?? sniffMimeType(content);
+}
+
+// Convert file content into the MCP content type best suited to its MIME type
+function toMediaContent(filePath, mimeType, content) {
+  if (mimeType.startsWith("image/") && mimeType !== "image/svg+xml") {
+    return { type: "image", data: content.toString("base64"), mimeType };
+  }
+  if (mimeType.startsWith("audio/")) {
+    return { type: "audio", data: content.toString("base64"), mimeType };
+  }
+  if (isTextMimeType(mimeType)) {
+    return { type: "text", text: content.toString("utf-8") };
+  }
+  return {
+    type: "resource",
+    resource: {
+      uri: pathToResourceUri(filePath),
+      mimeType,
+      blob: content.toString("base64"),
+    },
+  };
+}
+
+// Resource helpers
+const RESOURCE_PAGE_SIZE = 100;
+
+function pathToResourceUri(filePath) {
+  return pathToFileURL(filePath).href;
+}
+
+function resourceUriToPath(uri) {
+  if (!uri.startsWith("file://")) {
+    throw new Error(`Unsupported resource URI: ${uri}`);
+  }
+  return fileURLToPath(uri);
+}
+
+// Collect files under the allowed directories, stopping once `limit` is reached
+async function listResourceFiles(limit) {
+  const files = [];
+
+  async function walk(currentPath) {
+    const entries = await fs.readdir(currentPath, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (files.length >= limit) {
+        return;
+      }
+      const fullPath = path.join(currentPath, entry.name);
+
+      try {
+        // Entries hidden by deny rules are neither listed nor walked into
+        if (isHiddenByPolicy(fullPath)) {
+          continue;
+        }
+        await validatePath(fullPath);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          files.push(fullPath);
+        }
+      } catch (error) {
+        // Skip invalid paths while listing
+        continue;
+      }
+    }
+  }
+
+  for (const dir of allowedDirectories) {
+    if (files.length >= limit) {
+      break;
+    }
+    await walk(dir);
+  }
+  return files;
+}
+
+// Resource handlers
+async function handleListResources(request) {
+  const offset = Number(request.params?.cursor ?? 0);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error(`Invalid cursor: ${request.params.cursor}`);
+  }
+
+  // Fetch one extra entry to find out whether another page exists
+  const files = await listResourceFiles(offset + RESOURCE_PAGE_SIZE + 1);
+  const page = files.slice(offset, offset + RESOURCE_PAGE_SIZE);
+
+  return {
+    resources: page.map((filePath) => ({
+      uri: pathToResourceUri(filePath),
+      name: path.basename(filePath),
+      mimeType: getMimeType(filePath),
+    })),
+    nextCursor:
+      files.length > offset + RESOURCE_PAGE_SIZE
+        ? String(offset + RESOURCE_PAGE_SIZE)
+        : undefined,
+  };
+}
+
+async function handleListResourceTemplates() {
+  return {
+    resourceTemplates: allowedDirectories.map((dir) => ({
+      uriTemplate: `${pathToResourceUri(dir).replace(/\/$/, "")}/{+path}`,
+      name: `Files in ${dir}`,
+      description:
+        `Any file inside the allowed directory ${dir}. ` +
+        "Replace {path} with a path relative to that directory.",
+    })),
+  };
+}
+
+async function handleReadResource(request) {
+  const { uri } = request.params;
+  const validPath = await validatePath(resourceUriToPath(uri));
+  const stats = await fs.stat(validPath);
+  if (!stats.isFile()) {
+    throw new Error(`Resource is not a file: ${uri}`);
+  }
+  // Resources are read whole, so large files have to be read in pages
+  if (stats.size > maxMediaBytes) {
+    throw new Error(
+      `Resource is too large to read: ${formatSize(
+        stats.size
+      )} exceeds the limit of ${formatSize(
+        maxMediaBytes
+      )}. Use read_file with startLine/endLine or offset/length to read it in pages.`
+    );
+  }
+
+  const content = await fs.readFile(validPath);
+  const mimeType = detectMimeType(validPath, content);
+
+  return {
+    contents: [
+      isTextMimeType(mimeType)
+        ? { uri, mimeType, text: content.toString("utf-8") }
+        : { uri, mimeType, blob: content.toString("base64") },
+    ],
+  };
+}
+
+// Resource subscriptions
+// Maps the resolved path of each subscribed file to the connected servers
+// subscribed to it, and the URI each of their clients used
+const subscriptions = new Map();
+let directoryWatchers = [];
+
+// Wait this long after the last change before notifying, so that a burst of
+// saves produces a single notification
+const RESOURCE_CHANGE_DEBOUNCE_MS = 200;
+const pendingUpdates = new Set();
+let pendingListChanged = false;
+let changeTimer = null;
+
+function flushResourceChanges() {
+  changeTimer = null;
+  const updated = [...pendingUpdates];
+  const listChanged = pendingListChanged;
+  pendingUpdates.clear();
+  pendingListChanged = false;
+
+  for (const filePath of updated) {
+    for (const [server, uri] of subscriptions.get(filePath) ?? []) {
+      server.sendResourceUpdated({ uri }).catch((error) => {
+        logger.warning("Failed to send resource update", { uri, error });
+      });
+    }
+  }
+  if (listChanged) {
+    for (const server of servers) {
+      server.sendResourceListChanged().catch((error) => {
+        logger.warning("Failed to send resource list change", { error });
+      });
+    }
+  }
+}
+
+function handleDirectoryChange(dir, eventType, filename) {
+  if (!filename) {
+    return;
+  }
+  const filePath = path.join(dir, filename.toString());
+
+  // "rename" is reported for created, deleted and atomically replaced files
+  if (eventType === "rename") {
+    pendingListChanged = true;
+  }
+  if (subscriptions.has(filePath)) {
+    pendingUpdates.add(filePath);
+  }
+  if (!pendingListChanged && pendingUpdates.size === 0) {
+    return;
+  }
+
+  clearTimeout(changeTimer);
+  changeTimer = setTimeout(flushResourceChanges, RESOURCE_CHANGE_DEBOUNCE_MS);
+}
+
+// Watchers are started with the first subscription and stopped with the last.
+// Subscribes that arrive while the watchers are starting wait for the same
+// start, and stopping discards a start that is still resolving directories.
+let watcherStart = null;
+let watcherGeneration = 0;
+
+async function openDirectoryWatchers() {
+  const generation = watcherGeneration;
+  const realDirs = await Promise.all(
+    allowedDirectories.map((dir) => fs.realpath(dir))
+  );
+  if (generation !== watcherGeneration) {
+    return;
+  }
+  directoryWatchers = realDirs.map((realDir) => {
+    const watcher = watch(realDir, { recursive: true }, (eventType, filename) =>
+      handleDirectoryChange(realDir, eventType, filename)
+    );
+    watcher.on("error", (error) => {
+      logger.error("Failed to watch directory", { dir: realDir, error });
+    });
+    return watcher;
+  });
+}
+
+function startDirectoryWatchers() {
+  if (directoryWatchers.length === 0 && !watcherStart) {
+    const start = openDirectoryWatchers().finally(() => {
+      if (watcherStart === start) {
+        watcherStart = null;
+      }
+    });
+    watcherStart = start;
+  }
+  return watcherStart ?? Promise.resolve();
+}
+
+function stopDirectoryWatchers() {
+  watcherGeneration += 1;
+  watcherStart = null;
+  for (const watcher of directoryWatchers) {
+    watcher.close();
+  }
+  directoryWatchers = [];
+  clearTimeout(changeTimer);
+  changeTimer = null;
+  pendingUpdates.clear();
+  pendingListChanged = false;
+}
+
+async function handleSubscribe(server, request) {
+  const { uri } = request.params;
+  const validPath = await validatePath(resourceUriToPath(uri));
+  if (!subscriptions.has(validPath)) {
+    subscriptions.set(validPath, new Map());
+  }
+  subscriptions.get(validPath).set(server, uri);
+  await startDirectoryWatchers();
+  return {};
+}
+
+// Drop the server's subscriptions to `uri`, or all of them when no URI is
+// given (the connection closed)
+function removeSubscriptions(server, uri) {
+  for (const [filePath, subscribers] of subscriptions) {
+    if (uri === undefined || subscribers.get(server) === uri) {
+      subscribers.delete(server);
+    }
+    if (subscribers.size === 0) {
+      subscriptions.delete(filePath);
+    }
+  }
+  if (subscriptions.size === 0) {
+    stopDirectoryWatchers();
+  }
+}
+
+async function handleUnsubscribe(server, request) {
+  removeSubscriptions(server, request.params.uri);
+  return {};
+}
+
+// Tool handlers
+async function handleListTools() {
+  return {
+    tools: [
+      {
+        name: "read_file",
+        description:
+          "Read the complete contents of a file from the file system. " +
+          "Handles various text encodings and provides detailed error messages " +
+          "if the file cannot be read. Use this tool when you need to examine " +
+          "the contents of a single file. Use the 'head' parameter to read only " +
+          "the first N lines of a file, or the 'tail' parameter to read only " +
+          "the last N lines of a file. To page through large files, use " +
+          "'startLine'/'endLine' for a range of lines or 'offset'/'length' for a " +
+          "range of bytes; the result then says whether it was truncated and where " +
+          "the next page starts ('nextStartLine'/'nextOffset'). Set 'lineNumbers' " +
+          "to prefix lines with their numbers. The file's SHA-256 hash and modification time " +
+          "are returned after the content; pass the hash as 'expectedHash' to " +
+          "write_file, edit_file or move_file to avoid overwriting concurrent changes. " +
+          "Set 'encoding' to read files that are not UTF-8, such as GBK sources. " +
+          "Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(ReadFileArgsSchema),
+      },
+      {
+        name: "read_media_file",
+        description:
+          "Read an image, audio or other binary file. The MIME type is detected from " +
+          "the file extension or content. Images are returned as image content and " +
+          "audio as audio content (base64 data plus mimeType) so that multimodal " +
+          "models can view them; other binary files are returned as an embedded " +
+          "resource blob and text files as text. Files larger than the server's " +
+          "media size limit are rejected. Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(ReadMediaFileArgsSchema),
+      },
+      {
+        name: "read_multiple_files",
+        description:
+          "Read the contents of multiple files simultaneously. This is more " +
+          "efficient than reading files one by one when you need to analyze " +
+          "or compare multiple files. Each file's content is returned with its " +
+          "path as a reference. Failed reads for individual files won't stop " +
+          "the entire operation. Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(ReadMultipleFilesArgsSchema),
+      },
+      {
+        name: "write_file",
+        description:
+          "Create a new file or completely overwrite an existing file with new content. " +
+          "Use with caution as it will overwrite existing files without warning, " +
+          "unless 'expectedHash' is given and the file has changed since it was read. " +
+          "The write is atomic. Overwritten files keep their line endings (LF or " +
+          "CRLF), byte order mark and final newline; set 'encoding' to write UTF-16LE, " +
+          "Latin-1 or GBK text. " +
+          "Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(WriteFileArgsSchema),
+      },
+      {
+        name: "edit_file",
+        description:
+          "Make line-based edits to a text file. Each edit replaces exact line sequences " +
+          "with new content. An oldText that matches more than once is rejected with the " +
+          "matching line numbers unless 'occurrence' or 'expectedMatches' says which to " +
+          "replace; set 'regex' to match a regular expression instead. When no exact " +
+          "match exists, lines are compared ignoring surrounding whitespace and the " +
+          "result says so. The file's line endings, byte order mark and encoding " +
+          "('encoding', default UTF-8) are preserved. Returns a git-style diff " +
+          "showing the changes made. " +
+          "Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(EditFileArgsSchema),
+        outputSchema: zodToJsonSchema(EditFileOutputSchema),
+      },
+      {
+        name: "batch_edit",
+        description:
+          "Make line-based edits to several text files as one transaction. Each entry " +
+          "takes the same 'edits' as edit_file. Every edit is checked against the " +
+          "current content before anything is written; if any edit does not match or " +
+          "any write fails, no file is left changed. Returns one git-style diff of " +
+          "all the changes. Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(BatchEditArgsSchema),
+      },
+      {
+        name: "apply_patch",
+        description:
+          "Apply a unified diff (as produced by 'diff -u' or 'git diff') that may touch " +
+          "several files. Supports creating, deleting and renaming files. Hunks may " +
+          "apply at an offset from their stated line numbers, and with up to 'fuzz' " +
+          "context lines ignored at each end. Either every hunk applies and all files " +
+          "are written, or nothing is written and the hunks that failed are listed. " +
+          "Deleted files go to the trash. Use 'dryRun' to check the patch first. " +
+          "Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(ApplyPatchArgsSchema),
+      },
+      {
+        name: "create_directory",
+        description:
+          "Create a new directory or ensure a directory exists. Can create multiple " +
+          "nested directories in one operation. If the directory already exists, " +
+          "this operation will succeed silently. Perfect for setting up directory " +
+          "structures for projects or ensuring required paths exist. Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(CreateDirectoryArgsSchema),
+      },
+      {
+        name: "list_directory",
+        description:
+          "Get a detailed listing of all files and directories in a specified path. " +
+          "Results clearly distinguish between files and directories with [FILE] and [DIR] " +
+          "prefixes. This tool is essential for understanding directory structure and " +
+          "finding specific files within a directory. Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(ListDirectoryArgsSchema),
+        outputSchema: zodToJsonSchema(ListDirectoryOutputSchema),
+      },
+      {
+        name: "list_directory_with_sizes",
+        description:
+          "Get a detailed listing of all files and directories in a specified path, including sizes. " +
+          "Results clearly distinguish between files and directories with [FILE] and [DIR] " +
+          "prefixes. This tool is useful for understanding directory structure and " +
+          "finding specific files within a directory. Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(ListDirectoryWithSizesArgsSchema),
+        outputSchema: zodToJsonSchema(ListDirectoryWithSizesOutputSchema),
+      },
+      {
+        name: "directory_tree",
+        description:
+          "Get a recursive tree view of files and directories as a JSON structure. " +
+          "Each entry includes 'name', 'type' (file/directory), and 'children' for directories. " +
+          "Files have no children array, while directories always have a children array (which may be empty). " +
+          "The output is formatted with 2-space indentation for readability. Use 'maxDepth', " +
+          "'maxEntries' (default 1000), 'excludePatterns' and 'respectGitignore' to keep the " +
+          "result small; directories with more entries than shown are marked 'truncated'. " +
+          "Set 'includeSize'/'includeMtime' for file sizes and modification times, and " +
+          "format 'text' for a compact indented listing. Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(DirectoryTreeArgsSchema),
+        outputSchema: zodToJsonSchema(DirectoryTreeOutputSchema),
+      },
+      {
+        name: "move_file",
+        description:
+          "Move or rename files and directories. Can move files between directories " +
+          "and rename them in a single operation. If the destination exists, the " +
+          "operation will fail. Works across different directories and can be used " +
+          "for simple renaming within the same directory. Both source and destination must be within allowed directories.",
+        inputSchema: zodToJsonSchema(MoveFileArgsSchema),
+      },
+      {
+        name: "copy_file",
+        description:
+          "Copy a file, or a directory and everything in it. File contents are copied " +
+          "byte for byte and keep their permissions; symbolic links are copied as links. " +
+          "Existing files at the destination are only replaced when 'overwrite' is set, " +
+          "and an existing destination directory is merged into. 'excludePatterns' " +
+          "skips matching paths, 'preserveTimestamps' keeps modification times and " +
+          "'dryRun' lists what would be copied. Both source and destination must be " +
+          "within allowed directories.",
+        inputSchema: zodToJsonSchema(CopyFileArgsSchema),
+      },
+      {
+        name: "create_archive",
+        description:
+          "Create a .tar, .tar.gz (.tgz) or .zip archive from files and directories. " +
+          "Each source is stored under its own name, with directories added " +
+          "recursively; symbolic links are stored as links. Paths matching " +
+          "'excludePatterns' or denied by policy are left out and listed. Both the " +
+          "archive and the sources must be within allowed directories.",
+        inputSchema: zodToJsonSchema(CreateArchiveArgsSchema),
+      },
+      {
+        name: "extract_archive",
+        description:
+          "Extract a .tar, .tar.gz (.tgz) or .zip archive into a directory. Every entry " +
+          "is checked first: entries with absolute paths, '..' components or symlinks " +
+          "pointing outside the destination are rejected, as are entries that would " +
+          "replace existing files unless 'overwrite' is set. If any entry is rejected, " +
+          "nothing is extracted. Both the archive and the destination must be within " +
+          "allowed directories.",
+        inputSchema: zodToJsonSchema(ExtractArchiveArgsSchema),
+      },
+      {
+        name: "list_archive",
+        description:
+          "List the contents of a .tar, .tar.gz (.tgz) or .zip archive without " +
+          "extracting it, showing each entry's type, name and size. Only works " +
+          "within allowed directories.",
+        inputSchema: zodToJsonSchema(ListArchiveArgsSchema),
+      },
+      {
+        name: "disk_usage",
+        description:
+          "Show what takes up space below a directory. Sizes are totalled " +
+          "recursively, and each directory's largest files and subdirectories are " +
+          "listed with their share of the total, down to 'maxDepth' levels and at " +
+          "most 'top' entries per directory. Symlinks are not followed and hard-linked " +
+          "files are counted once. Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(DiskUsageArgsSchema),
+      },
+      {
+        name: "find_duplicates",
+        description:
+          "Find files with identical content below a directory. Files are grouped " +
+          "by size and then by SHA-256 hash; groups are listed with the space that " +
+          "removing the extra copies would free, largest first. Hard links to the " +
+          "same file are not reported. Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(FindDuplicatesArgsSchema),
+      },
+      {
+        name: "hash_file",
+        description:
+          "Compute the MD5, SHA-1 or SHA-256 checksum of a file, for example to " +
+          "verify a build artifact or download. The file is streamed, so large files " +
+          "are fine. Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(HashFileArgsSchema),
+      },
+      {
+        name: "diff_files",
+        description:
+          "Compare two text files and return a git-style unified diff. " +
+          "'ignoreWhitespace' ignores whitespace differences within lines and " +
+          "'contextLines' sets how many unchanged lines surround each change. Binary " +
+          "files are only reported as identical or different. Both files must be " +
+          "within allowed directories.",
+        inputSchema: zodToJsonSchema(DiffFilesArgsSchema),
+      },
+      {
+        name: "search_files",
+        description:
+          "Recursively search for files and directories matching a pattern. " +
+          "Searches through all subdirectories from the starting path. The search " +
+          "is case-insensitive and matches partial names. Returns full paths to all " +
+          "matching items. Great for finding files when you don't know their exact location. " +
+          "Only searches within allowed directories.",
+        inputSchema: zodToJsonSchema(SearchFilesArgsSchema),
+        outputSchema: zodToJsonSchema(SearchFilesOutputSchema),
+      },
+      {
+        name: "search_file_contents",
+        description:
+          "Recursively search the contents of files for text or a regular expression. " +
+          "Returns the path, line number, column and matching line for every hit, " +
+          "optionally with surrounding context lines. Use 'includePatterns' and " +
+          "'excludePatterns' globs to narrow the files searched. Binary files are skipped. " +
+          "Only searches within allowed directories.",
+        inputSchema: zodToJsonSchema(SearchFileContentsArgsSchema),
+      },
+      {
+        name: "file_outline",
+        description:
+          "List the symbols of a JavaScript or TypeScript file (.js, .mjs, .cjs, .jsx, " +
+          ".ts, .mts, .cts, .tsx) without reading all of it: imports, exports, " +
+          "functions, classes with their methods and properties, exported variables, " +
+          "and TypeScript interfaces, types, enums and namespaces. Nested functions " +
+          "and class members are listed under their parent, each with its line range. " +
+          "Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(FileOutlineArgsSchema),
+        outputSchema: zodToJsonSchema(FileOutlineOutputSchema),
+      },
+      {
+        name: "find_symbol",
+        description:
+          "Find where a function, class, method or other symbol is declared across " +
+          "the JavaScript and TypeScript files of a directory tree. Returns the file, " +
+          "line range, kind and enclosing symbol of each match. Set 'exact' to false " +
+          "for a case-insensitive substring match and 'kinds' to filter by kind. " +
+          "node_modules is excluded by default, and files over 1 MB are skipped. " +
+          "Only searches within allowed directories.",
+        inputSchema: zodToJsonSchema(FindSymbolArgsSchema),
+        outputSchema: zodToJsonSchema(FindSymbolOutputSchema),
+      },
+      {
+        name: "get_file_info",
+        description:
+          "Retrieve detailed metadata about a file or directory. Returns comprehensive " +
+          "information including size, creation time, last modified time, permissions, " +
+          "and type. This tool is perfect for understanding file characteristics " +
+          "without reading the actual content. Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(GetFileInfoArgsSchema),
+        outputSchema: zodToJsonSchema(GetFileInfoOutputSchema),
+      },
+      {
+        name: "delete_file",
+        description:
+          "Delete a file by moving it to the server's trash. The file can be brought " +
+          "back with 'restore_from_trash' until the trash is emptied. Use " +
+          "'delete_directory' for directories. Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(DeleteFileArgsSchema),
+      },
+      {
+        name: "delete_directory",
+        description:
+          "Delete a directory by moving it to the server's trash. Non-empty " +
+          "directories are only deleted when 'recursive' is true. The directory can " +
+          "be brought back with 'restore_from_trash' until the trash is emptied. " +
+          "Only works within allowed directories.",
+        inputSchema: zodToJsonSchema(DeleteDirectoryArgsSchema),
+      },
+      {
+        name: "list_trash",
+        description:
+          "List deleted files and directories held in the trash, with their trash id, " +
+          "original path, type and deletion time.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+          required: [],
+        },
+      },
+      {
+        name: "restore_from_trash",
+        description:
+          "Restore a deleted file or directory from the trash to its original path, " +
+          "or to 'destination' if given. Fails if something already exists there. " +
+          "The destination must be within allowed directories.",
+        inputSchema: zodToJsonSchema(RestoreFromTrashArgsSchema),
+      },
+      {
+        name: "empty_trash",
+        description:
+          "Permanently delete entries from the trash. Deletes the entries listed in " +
+          "'ids', or everything in the trash if no ids are given. This cannot be undone.",
+        inputSchema: zodToJsonSchema(EmptyTrashArgsSchema),
+      },
+      {
+        name: "get_audit_log",
+        description:
+          "Show the audit log of file system changes made through this server. " +
+          "Every write, edit, directory creation and move is recorded with its " +
+          "timestamp, resolved paths, sizes and SHA-256 hashes before and after, " +
+          "and whether it succeeded, failed or was denied. Filter by 'path' and " +
+          "by an ISO 8601 'since'/'until' time range.",
+        inputSchema: zodToJsonSchema(GetAuditLogArgsSchema),
+      },
+      {
+        name: "list_allowed_directories",
+        description:
+          "Returns the list of directories that this server is allowed to access. " +
+          "Use this to understand which directories are available before trying to access files.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+          required: [],
+        },
+      },
+    ].filter((tool) => isToolEnabled(tool.name)),
+  };
+}
+
+// Walks return partial results once `operation` stops, and reads of single
+// files fail. Tools that change files only check it before they write:
+// stopping a copy or delete half way would leave the tree in a state nobody
+// asked for. When a request is cancelled the SDK drops the response, so
+// partial results and errors only reach the client after a timeout.
+async function handleCallTool(request, extra) {
+  const operation = startOperation(extra);
+  try {
+    const { name, arguments: args } = request.params;
+
+    if (!isToolEnabled(name)) {
+      // Name the rule that applies to the path the call targets
+      const target = args?.path ?? args?.source;
+      if (typeof target === "string") {
+        await validatePath(target, name);
+      }
+      throw new Error(`Access denied by policy - tool "${name}" is disabled`);
+    }
+
+    switch (name) {
+      case "read_file": {
+        const parsed = ReadFileArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(`Invalid arguments for read_file: ${parsed.error}`);
+        }
+        const validPath = await validatePath(parsed.data.path, name);
+        const {
+          head,
+          tail,
+          startLine,
+          endLine,
+          offset,
+          length,
+          lineNumbers,
+          encoding,
+        } = parsed.data;
+
+        const modes = [
+          head && "head",
+          tail && "tail",
+          (startLine !== undefined || endLine !== undefined) &&
+            "startLine/endLine",
+          (offset !== undefined || length !== undefined) && "offset/length",
+        ].filter(Boolean);
+        if (modes.length > 1) {
+          throw new Error(
+            `Cannot combine ${modes.join(" and ")} parameters in one read`
+          );
+        }
+        if (modes.length > 0 && encoding !== "utf-8") {
+          throw new Error(
+            `${modes[0]} reads only support utf-8; read ${encoding} files whole`
+          );
+        }
+
+        if (startLine !== undefined || endLine !== undefined) {
+          const firstLine = startLine ?? 1;
+          const lastLine = endLine ?? firstLine + DEFAULT_PAGE_LINES - 1;
+          if (lastLine < firstLine) {
+            throw new Error("endLine must not be smaller than startLine");
+          }
+          const page = await readLineRange(
+            validPath,
+            firstLine,
+            lastLine,
+            operation.signal
+          );
+          const lines = lineNumbers
+            ? addLineNumbers(page.lines, firstLine)
+            : page.lines;
+
+          // Range reads only report size and mtime; hashing would mean reading
+          // the whole file for every page
+          const stats = await fs.stat(validPath);
+          const info = [
+            `lines: ${firstLine}-${firstLine + page.lines.length - 1}`,
+            `size: ${stats.size}`,
+            `modified: ${stats.mtime.toISOString()}`,
+            `truncated: ${page.nextLine !== undefined}`,
+            ...(page.nextLine !== undefined
+              ? [
+                  `nextStartLine: ${page.nextLine}`,
+                  `nextOffset: ${page.nextOffset}`,
+                ]
+              : []),
+          ];
+          return {
+            content: [
+              { type: "text", text: lines.join("\n") },
+              { type: "text", text: info.join("\n") },
+            ],
+          };
+        }
+
+        if (offset !== undefined || length !== undefined) {
+          const page = await readByteRange(
+            validPath,
+            offset ?? 0,
+            length ?? DEFAULT_PAGE_BYTES
+          );
+          const stats = await fs.stat(validPath);
+          const info = [
+            `offset: ${page.start}`,
+            `size: ${stats.size}`,
+            `modified: ${stats.mtime.toISOString()}`,
+            `truncated: ${page.nextOffset !== undefined}`,
+            ...(page.nextOffset !== undefined
+              ? [`nextOffset: ${page.nextOffset}`]
+              : []),
+          ];
+          return {
+            content: [
+              { type: "text", text: page.text },
+              { type: "text", text: info.join("\n") },
+            ],
+          };
+        }
+
+        if (tail || head) {
+          const version = formatFileVersion(
+            await hashFile(validPath, "sha256", operation.signal),
+            await fs.stat(validPath)
+          );
+          // Use memory-efficient head/tail implementations for large files
+          let text = tail
+            ? await tailFile(validPath, tail, operation.signal)
+            : await headFile(validPath, head, operation.signal);
+          if (lineNumbers) {
+            const lines = text.split("\n");
+            const firstLine = tail
+              ? (await countLines(validPath, operation.signal)) -
+                lines.length +
+                1
+              : 1;
+            text = addLineNumbers(lines, firstLine).join("\n");
+          }
+          return {
+            content: [
+              { type: "text", text },
+              { type: "text", text: version },
+            ],
+          };
+        }
+
+        const { content, hash } = await readFileWithHash(
+          validPath,
+          encoding,
+          operation.signal
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: lineNumbers
+                ? addLineNumbers(content.split("\n"), 1).join("\n")
+                : content,
+            },
+            {
+              type: "text",
+              text: formatFileVersion(hash, await fs.stat(validPath)),
+            },
+          ],
+        };
+      }
+
+      case "read_media_file": {
+        const parsed = ReadMediaFileArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(
+            `Invalid arguments for read_media_file: ${parsed.error}`
+          );
+        }
+        const validPath = await validatePath(parsed.data.path, name);
+        const stats = await fs.stat(validPath);
+        if (!stats.isFile()) {
+          throw new Error(`${parsed.data.path} is not a file`);
+        }
+        if (stats.size > maxMediaBytes) {
+          throw new Error(
+            `File is too large to read as media: ${formatSize(
+              stats.size
+            )} exceeds the limit of ${formatSize(maxMediaBytes)}`
+          );
+        }
+        const content = await fs.readFile(validPath);
+        const mimeType = detectMimeType(validPath, content);
+        return {
+          content: [toMediaContent(validPath, mimeType, content)],
+        };
+      }
+
+      case "read_multiple_files": {
+        const parsed = ReadMultipleFilesArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(
+            `Invalid arguments for read_multiple_files: ${parsed.error}`
+          );
+        }
+        const results = await Promise.all(
+          parsed.data.paths.map(async (filePath) => {
+            try {
+              const validPath = await validatePath(filePath, name);
+              const content = await fs.readFile(validPath, "utf-8");
+              return `${filePath}:\n${content}\n`;
+            } catch (error) {
+              const errorMessage =
+                error instanceof Error ? error.message : String(error);
+              return `${filePath}: Error - ${errorMessage}`;
+            }
+          })
+        );
+        return {
+          content: [{ type: "text", text: results.join("\n---\n") }],
+        };
+      }
+
+      case "write_file": {
+        const parsed = WriteFileArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(`Invalid arguments for write_file: ${parsed.error}`);
+        }
+        const validPath = await validatePath(parsed.data.path, name);
+        await assertFileUnchanged(validPath, parsed.data.expectedHash, {
+          encoding: parsed.data.encoding,
+          proposedContent: parsed.data.content,
+        });
+        // Overwrites keep the existing file's line endings, BOM and final
+        // newline; new files are written exactly as given
+        const existing = await fs.readFile(validPath).catch(() => null);
+        const data = encodeText(
+          parsed.data.content,
+          existing
+            ? decodeText(existing, parsed.data.encoding).format
+            : { encoding: parsed.data.encoding }
+        );
+        await auditMutation(name, [validPath], () =>
+          writeFileAtomic(validPath, data)
+        );
+        return {
+          content: [
+            { type: "text", text: `Successfully wrote to ${parsed.data.path}` },
+          ],
+        };
+      }
+
+      case "edit_file": {
+        const parsed = EditFileArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(`Invalid arguments for edit_file: ${parsed.error}`);
+        }
+        const validPath = await validatePath(parsed.data.path, name);
+        await assertFileUnchanged(validPath, parsed.data.expectedHash, {
+          encoding: parsed.data.encoding,
+        });
+        const applyEdits = () =>
+          applyFileEdits(
+            validPath,
+            parsed.data.edits,
+            parsed.data.dryRun,
+            parsed.data.encoding
+          );
+        const { diff, notes } = parsed.data.dryRun
+          ? await applyEdits()
+          : await auditMutation(name, [validPath], applyEdits);
+        return {
+          content: [
+            {
+              type: "text",
+              text:
+                notes.length > 0
+                  ? `${notes.join("\n")}\n\n${formatDiff(diff)}`
+                  : formatDiff(diff),
+            },
+          ],
+          structuredContent: {
+            path: validPath,
+            dryRun: parsed.data.dryRun,
+            diff,
+            notes,
+          },
+        };
+      }
+
+      case "batch_edit": {
+        const parsed = BatchEditArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(`Invalid arguments for batch_edit: ${parsed.error}`);
+        }
+        const { changes, notes, failures } = await planBatchEdit(
+          parsed.data.files,
+          name
+        );
+        if (failures.length > 0) {
+          throw new Error(
+            `Batch edit failed, no files were changed:\n${failures.join("\n")}`
+          );
+        }
+
+        if (!parsed.data.dryRun) {
+          await auditMutation(
+            name,
+            changes.map((change) => change.path),
+            () => commitFileChanges(changes, trashDir)
+          );
+        }
+        return {
+          content: [
+            {
+              type: "text",
+              text: [...notes, formatChangesDiff(changes)].join("\n\n"),
+            },
+          ],
+        };
+      }
+
+      case "apply_patch": {
+        const parsed = ApplyPatchArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(`Invalid arguments for apply_patch: ${parsed.error}`);
+        }
+        const validPath = await validatePath(parsed.data.path, name);
+        const filePatches = parseMultiFilePatch(parsed.data.patch);
+        if (filePatches.length === 0) {
+          throw new Error("Patch does not contain any file changes");
+        }
+
+        const { changes, summary, failures } = await planPatch(
+          validPath,
+          filePatches,
+          parsed.data.fuzz,
+          name
+        );
+        if (failures.length > 0) {
+          throw new Error(
+            `Patch does not apply, no files were changed:\n${failures.join(
+              "\n"
+            )}`
+          );
+        }
+
+        if (!parsed.data.dryRun) {
+          await auditMutation(
+            name,
+            changes.map((change) => change.path),
+            () => commitFileChanges(changes, trashDir)
+          );
+        }
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${
+                parsed.data.dryRun
+                  ? "Dry run: patch applies cleanly to"
+                  : "Applied patch to"
+              } ${filePatches.length} files:\n${summary.join(
+                "\n"
+              )}\n\n${formatChangesDiff(changes)}`,
+            },
+          ],
+        };
+      }
+
+      case "create_directory": {
+        const parsed = CreateDirectoryArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(
+            `Invalid arguments for create_directory: ${parsed.error}`
+          );
+        }
+        const validPath = await validatePath(parsed.data.path, name);
+        await auditMutation(name, [validPath], () =>
+          fs.mkdir(validPath, { recursive: true })
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Successfully created directory ${parsed.data.path}`,
+            },
+          ],
+        };
+      }
+
+      case "list_directory": {
+        const parsed = ListDirectoryArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(
+            `Invalid arguments for list_directory: ${parsed.error}`
+          );
+        }
+        const validPath = await validatePath(parsed.data.path, name);
+        const entries = (
+          await fs.readdir(validPath, { withFileTypes: true })
+        ).filter(
+          (entry) => !isHiddenByPolicy(path.join(validPath, entry.name))
+        );
+        const formatted = entries
+          .map(
+            (entry) =>
+              `${entry.isDirectory() ? "[DIR]" : "[FILE]"} ${entry.name}`
+          )
+          .join("\n");
+        return {
+          content: [{ type: "text", text: formatted }],
+          structuredContent: {
+            entries: entries.map((entry) => ({
+              name: entry.name,
+              type: entry.isDirectory() ? "directory" : "file",
+            })),
+          },
+        };
+      }
+
+      case "list_directory_with_sizes": {
+        const parsed = ListDirectoryWithSizesArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(
+            `Invalid arguments for list_directory_with_sizes: ${parsed.error}`
+          );
+        }
+        const validPath = await validatePath(parsed.data.path, name);
+        const entries = (
+          await fs.readdir(validPath, { withFileTypes: true })
+        ).filter(
+          (entry) => !isHiddenByPolicy(path.join(validPath, entry.name))
+        );
+
+        // Get detailed information for each entry
+        const detailedEntries = await Promise.all(
+          entries.map(async (entry) => {
+            const entryPath = path.join(validPath, entry.name);
+            try {
+              const stats = await fs.stat(entryPath);
+              return {
+                name: entry.name,
+                isDirectory: entry.isDirectory(),
+                size: stats.size,
+                mtime: stats.mtime,
+              };
+            } catch (error) {
+              return {
+                name: entry.name,
+                isDirectory: entry.isDirectory(),
+                size: 0,
+                mtime: new Date(0),
+              };
+            }
+          })
+        );
+
+        // Sort entries based on sortBy parameter
+        const sortedEntries = [...detailedEntries].sort((a, b) => {
+          if (parsed.data.sortBy === "size") {
+            return b.size - a.size; // Descending by size
+          }
+          // Default sort by name
+          return a.name.localeCompare(b.name);
+        });
+
+        // Format the output
+        const formattedEntries = sortedEntries.map(
+          (entry) =>
+            `${entry.isDirectory ? "[DIR]" : "[FILE]"} ${entry.name.padEnd(
+              30
+            )} ${entry.isDirectory ? "" : formatSize(entry.size).padStart(10)}`
+        );
+
+        // Add summary
+        const totalFiles = detailedEntries.filter((e) => !e.isDirectory).length;
+        const totalDirs = detailedEntries.filter((e) => e.isDirectory).length;
+        const totalSize = detailedEntries.reduce(
+          (sum, entry) => sum + (entry.isDirectory ? 0 : entry.size),
+          0
+        );
+
+        const summary = [
+          "",
+          `Total: ${totalFiles} files, ${totalDirs} directories`,
+          `Combined size: ${formatSize(totalSize)}`,
+        ];
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: [...formattedEntries, ...summary].join("\n"),
+            },
+          ],
+          structuredContent: {
+            entries: sortedEntries.map((entry) => ({
+              name: entry.name,
+              type: entry.isDirectory ? "directory" : "file",
+              ...(!entry.isDirectory && { size: entry.size }),
+              modified: entry.mtime.toISOString(),
+            })),
+            totalFiles,
+            totalDirectories: totalDirs,
+            totalSize,
+          },
+        };
+      }
+
+      case "directory_tree": {
+        const parsed = DirectoryTreeArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(
+            `Invalid arguments for directory_tree: ${parsed.error}`
+          );
+        }
+
+        const validPath = await validatePath(parsed.data.path, name);
+        const { tree, complete, truncated, stopped } = await buildDirectoryTree(
+          validPath,
+          name,
+          {
+            ...parsed.data,
+            operation,
+          }
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text:
+                parsed.data.format === "text"
+                  ? formatTreeAsText(tree, !complete).join("\n")
+                  : JSON.stringify(tree, null, 2),
+            },
+            ...(truncated
+              ? [
+                  {
+                    type: "text",
+                    text: stopped
+                      ? `Tree truncated. ${formatStopReason(stopped)}`
+                      : "Tree truncated: directories marked as truncated have more " +
+                        "entries than shown. Raise maxDepth or maxEntries, or narrow " +
+                        "the path, to see more.",
+                  },
+                ]
+              : []),
+          ],
+          structuredContent: { tree, truncated, stopped },
+        };
+      }
 
-    // If there is leftover content and we still need lines, add it
-    if (buffer.length > 0 && lines.length < numLines) {
-      lines.push(buffer);
-    }
+      case "move_file": {
+        const parsed = MoveFileArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(`Invalid arguments for move_file: ${parsed.error}`);
+        }
+        const validSourcePath = await validatePath(parsed.data.source, name);
+        const validDestPath = await validatePath(parsed.data.destination, name);
+        await assertFileUnchanged(validSourcePath, parsed.data.expectedHash);
+        await auditMutation(name, [validSourcePath, validDestPath], () =>
+          fs.rename(validSourcePath, validDestPath)
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Successfully moved ${parsed.data.source} to ${parsed.data.destination}`,
+            },
+          ],
+        };
+      }
 
-    return lines.join("\n");
-  } finally {
-    await fileHandle.close();
-  }
-}
+      case "copy_file": {
+        const parsed = CopyFileArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(`Invalid arguments for copy_file: ${parsed.error}`);
+        }
+        const validSourcePath = await validatePath(parsed.data.source, name);
+        const validDestPath = await validatePath(parsed.data.destination, name);
+        if (isPathWithinDirectory(validDestPath, validSourcePath)) {
+          throw new Error(`Cannot copy ${parsed.data.source} into itself`);
+        }
 
-// Tool handlers
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: "read_file",
-        description:
-          "Read the complete contents of a file from the file system. " +
-          "Handles various text encodings and provides detailed error messages " +
-          "if the file cannot be read. Use this tool when you need to examine " +
-          "the contents of a single file. Use the 'head' parameter to read only " +
-          "the first N lines of a file, or the 'tail' parameter to read only " +
-          "the last N lines of a file. Only works within allowed directories.",
-        inputSchema: zodToJsonSchema(ReadFileArgsSchema),
-      },
-      {
-        name: "read_multiple_files",
-        description:
-          "Read the contents of multiple files simultaneously. This is more " +
-          "efficient than reading files one by one when you need to analyze " +
-          "or compare multiple files. Each file's content is returned with its " +
-          "path as a reference. Failed reads for individual files won't stop " +
-          "the entire operation. Only works within allowed directories.",
-        inputSchema: zodToJsonSchema(ReadMultipleFilesArgsSchema),
-      },
-      {
-        name: "write_file",
-        description:
-          "Create a new file or completely overwrite an existing file with new content. " +
-          "Use with caution as it will overwrite existing files without warning. " +
-          "Handles text content with proper encoding. Only works within allowed directories.",
-        inputSchema: zodToJsonSchema(WriteFileArgsSchema),
-      },
-      {
-        name: "edit_file",
-        description:
-          "Make line-based edits to a text file. Each edit replaces exact line sequences " +
-          "with new content. Returns a git-style diff showing the changes made. " +
-          "Only works within allowed directories.",
-        inputSchema: zodToJsonSchema(EditFileArgsSchema),
-      },
-      {
-        name: "create_directory",
-        description:
-          "Create a new directory or ensure a directory exists. Can create multiple " +
-          "nested directories in one operation. If the directory already exists, " +
-          "this operation will succeed silently. Perfect for setting up directory " +
-          "structures for projects or ensuring required paths exist. Only works within allowed directories.",
-        inputSchema: zodToJsonSchema(CreateDirectoryArgsSchema),
-      },
-      {
-        name: "list_directory",
-        description:
-          "Get a detailed listing of all files and directories in a specified path. " +
-          "Results clearly distinguish between files and directories with [FILE] and [DIR] " +
-          "prefixes. This tool is essential for understanding directory structure and " +
-          "finding specific files within a directory. Only works within allowed directories.",
-        inputSchema: zodToJsonSchema(ListDirectoryArgsSchema),
-      },
-      {
-        name: "list_directory_with_sizes",
-        description:
-          "Get a detailed listing of all files and directories in a specified path, including sizes. " +
-          "Results clearly distinguish between files and directories with [FILE] and [DIR] " +
-          "prefixes. This tool is useful for understanding directory structure and " +
-          "finding specific files within a directory. Only works within allowed directories.",
-        inputSchema: zodToJsonSchema(ListDirectoryWithSizesArgsSchema),
-      },
-      {
-        name: "directory_tree",
-        description:
-          "Get a recursive tree view of files and directories as a JSON structure. " +
-          "Each entry includes 'name', 'type' (file/directory), and 'children' for directories. " +
-          "Files have no children array, while directories always have a children array (which may be empty). " +
-          "The output is formatted with 2-space indentation for readability. Only works within allowed directories.",
-        inputSchema: zodToJsonSchema(DirectoryTreeArgsSchema),
-      },
-      {
-        name: "move_file",
-        description:
-          "Move or rename files and directories. Can move files between directories " +
-          "and rename them in a single operation. If the destination exists, the " +
-          "operation will fail. Works across different directories and can be used " +
-          "for simple renaming within the same directory. Both source and destination must be within allowed directories.",
-        inputSchema: zodToJsonSchema(MoveFileArgsSchema),
-      },
-      {
-        name: "search_files",
-        description:
-          "Recursively search for files and directories matching a pattern. " +
-          "Searches through all subdirectories from the starting path. The search " +
-          "is case-insensitive and matches partial names. Returns full paths to all " +
-          "matching items. Great for finding files when you don't know their exact location. " +
-          "Only searches within allowed directories.",
-        inputSchema: zodToJsonSchema(SearchFilesArgsSchema),
-      },
-      {
-        name: "get_file_info",
-        description:
-          "Retrieve detailed metadata about a file or directory. Returns comprehensive " +
-          "information including size, creation time, last modified time, permissions, " +
-          "and type. This tool is perfect for understanding file characteristics " +
-          "without reading the actual content. Only works within allowed directories.",
-        inputSchema: zodToJsonSchema(GetFileInfoArgsSchema),
-      },
-      {
-        name: "list_allowed_directories",
-        description:
-          "Returns the list of directories that this server is allowed to access. " +
-          "Use this to understand which directories are available before trying to access files.",
-        inputSchema: {
-          type: "object",
-          properties: {},
-          required: [],
-        },
-      },
-    ],
-  };
-});
+        const { operations, skipped } = await planCopy(
+          validSourcePath,
+          validDestPath,
+          parsed.data,
+          name
+        );
+        const fileCount = operations.filter(
+          (operation) => operation.type !== "directory"
+        ).length;
+        const summary = `${fileCount} files and ${
+          operations.length - fileCount
+        } directories`;
+        const skippedText =
+          skipped.length > 0 ? `\n\nSkipped:\n${skipped.join("\n")}` : "";
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  try {
-    const { name, arguments: args } = request.params;
+        if (parsed.data.dryRun) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Dry run: would copy ${summary}\n${formatCopyOperations(
+                  operations
+                )}${skippedText}`,
+              },
+            ],
+          };
+        }
 
-    switch (name) {
-      case "read_file": {
-        const parsed = ReadFileArgsSchema.safeParse(args);
+        const removedLinks = await auditMutation(
+          name,
+          [validSourcePath, validDestPath],
+          () => executeCopy(operations, parsed.data.preserveTimestamps, name)
+        );
+        const removedText =
+          removedLinks.length > 0
+            ? `\n\nRemoved links leading outside the allowed directories:\n${removedLinks.join("\n")}`
+            : "";
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Successfully copied ${summary} from ${parsed.data.source} to ${parsed.data.destination}${skippedText}${removedText}`,
+            },
+          ],
+        };
+      }
+
+      case "create_archive": {
+        const parsed = CreateArchiveArgsSchema.safeParse(args);
         if (!parsed.success) {
-          throw new Error(`Invalid arguments for read_file: ${parsed.error}`);
+          throw new Error(
+            `Invalid arguments for create_archive: ${parsed.error}`
+          );
         }
-        const validPath = await validatePath(parsed.data.path);
+        const format = archiveFormat(parsed.data.path);
+        const validPath = await validatePath(parsed.data.path, name);
+        if (
+          !parsed.data.overwrite &&
+          (await fs.lstat(validPath).catch(() => null))
+        ) {
+          throw new Error(`Archive already exists: ${parsed.data.path}`);
+        }
+        const sourcePaths = await Promise.all(
+          parsed.data.sources.map((source) => validatePath(source, name))
+        );
+        const { entries, skipped } = await collectArchiveEntries(
+          sourcePaths,
+          validPath,
+          parsed.data.excludePatterns,
+          name,
+          operation
+        );
+        const data = await buildArchive(entries, format);
+        // Last chance to stop: the write itself is never interrupted
+        if (operation.stopped) {
+          throw new Error(formatStopError(operation.stopped));
+        }
+
+        await auditMutation(name, [validPath], () =>
+          writeFileAtomic(validPath, data)
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text:
+                `Created ${parsed.data.path} with ${countArchiveEntries(entries)}` +
+                (skipped.length > 0
+                  ? `\n\nSkipped:\n${skipped.join("\n")}`
+                  : ""),
+            },
+          ],
+        };
+      }
 
-        if (parsed.data.head && parsed.data.tail) {
+      case "extract_archive": {
+        const parsed = ExtractArchiveArgsSchema.safeParse(args);
+        if (!parsed.success) {
           throw new Error(
-            "Cannot specify both head and tail parameters simultaneously"
+            `Invalid arguments for extract_archive: ${parsed.error}`
           );
         }
+        const format = archiveFormat(parsed.data.path);
+        const validPath = await validatePath(parsed.data.path, name);
+        const validDestPath = await validateCreatablePath(
+          parsed.data.destination,
+          name
+        );
+        const entries = await readArchive(validPath, format);
+        const { operations, skipped } = await planExtraction(
+          entries,
+          validDestPath,
+          parsed.data.overwrite,
+          name
+        );
 
-        if (parsed.data.tail) {
-          // Use memory-efficient tail implementation for large files
-          const tailContent = await tailFile(validPath, parsed.data.tail);
-          return {
-            content: [{ type: "text", text: tailContent }],
-          };
+        await auditMutation(name, [validPath, validDestPath], async () => {
+          await fs.mkdir(validDestPath, { recursive: true });
+          await executeExtraction(operations, name);
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text:
+                `Extracted ${countArchiveEntries(
+                  operations.map((operation) => operation.entry)
+                )} to ${parsed.data.destination}` +
+                (skipped.length > 0
+                  ? `\n\nSkipped:\n${skipped.join("\n")}`
+                  : ""),
+            },
+          ],
+        };
+      }
+
+      case "list_archive": {
+        const parsed = ListArchiveArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(
+            `Invalid arguments for list_archive: ${parsed.error}`
+          );
+        }
+        const format = archiveFormat(parsed.data.path);
+        const validPath = await validatePath(parsed.data.path, name);
+        const entries = await readArchive(validPath, format);
+        const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${format} archive with ${countArchiveEntries(
+                entries
+              )}, ${formatSize(totalSize)} uncompressed\n\n${formatArchiveEntries(
+                entries
+              )}`,
+            },
+          ],
+        };
+      }
+
+      case "disk_usage": {
+        const parsed = DiskUsageArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(`Invalid arguments for disk_usage: ${parsed.error}`);
+        }
+        const validPath = await validatePath(parsed.data.path, name);
+        const { tree, skipped, stopped } = await scanDirectory(
+          validPath,
+          name,
+          parsed.data.excludePatterns,
+          operation
+        );
+        const summary = [
+          "",
+          `Total: ${formatSize(tree.size)} in ${tree.fileCount} files and ${tree.directoryCount} directories`,
+          ...(skipped > 0
+            ? [`Skipped ${skipped} unreadable or denied entries`]
+            : []),
+          ...(stopped ? [formatStopReason(stopped)] : []),
+        ];
+        return {
+          content: [
+            {
+              type: "text",
+              text: [
+                formatDiskUsage(tree, parsed.data.maxDepth, parsed.data.top),
+                ...summary,
+              ].join("\n"),
+            },
+          ],
+        };
+      }
+
+      case "find_duplicates": {
+        const parsed = FindDuplicatesArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(
+            `Invalid arguments for find_duplicates: ${parsed.error}`
+          );
         }
-
-        if (parsed.data.head) {
-          // Use memory-efficient head implementation for large files
-          const headContent = await headFile(validPath, parsed.data.head);
+        const validPath = await validatePath(parsed.data.path, name);
+        const { tree } = await scanDirectory(
+          validPath,
+          name,
+          parsed.data.excludePatterns,
+          operation
+        );
+        const groups = await findDuplicateFiles(
+          tree,
+          parsed.data.minSize,
+          operation
+        );
+        const stopNote = operation.stopped
+          ? `\n\n${formatStopReason(operation.stopped)}`
+          : "";
+        if (groups.length === 0) {
           return {
-            content: [{ type: "text", text: headContent }],
+            content: [
+              { type: "text", text: `No duplicate files found${stopNote}` },
+            ],
           };
         }
 
-        const content = await fs.readFile(validPath, "utf-8");
+        const wasted = groups.reduce((sum, group) => sum + group.wasted, 0);
+        const shown = groups.slice(0, parsed.data.maxGroups);
+        const text = [
+          `${groups.length} groups of duplicate files; removing the extra copies would free ${formatSize(
+            wasted
+          )}`,
+          ...shown.map((group) =>
+            [
+              "",
+              `${group.paths.length} copies of ${formatSize(
+                group.size
+              )} (sha256: ${group.hash})`,
+              ...group.paths.map((filePath) => `  ${filePath}`),
+            ].join("\n")
+          ),
+          ...(groups.length > shown.length
+            ? ["", `... ${groups.length - shown.length} more groups`]
+            : []),
+        ];
         return {
-          content: [{ type: "text", text: content }],
+          content: [{ type: "text", text: text.join("\n") + stopNote }],
         };
       }
 
-      case "read_multiple_files": {
-        const parsed = ReadMultipleFilesArgsSchema.safeParse(args);
+      case "hash_file": {
+        const parsed = HashFileArgsSchema.safeParse(args);
         if (!parsed.success) {
-          throw new Error(
-            `Invalid arguments for read_multiple_files: ${parsed.error}`
-          );
+          throw new Error(`Invalid arguments for hash_file: ${parsed.error}`);
         }
-        const results = await Promise.all(
-          parsed.data.paths.map(async (filePath) => {
-            try {
-              const validPath = await validatePath(filePath);
-              const content = await fs.readFile(validPath, "utf-8");
-              return `${filePath}:\n${content}\n`;
-            } catch (error) {
-              const errorMessage =
-                error instanceof Error ? error.message : String(error);
-              return `${filePath}: Error - ${errorMessage}`;
-            }
-          })
+        const validPath = await validatePath(parsed.data.path, name);
+        const stats = await fs.stat(validPath);
+        if (!stats.isFile()) {
+          throw new Error(`Not a file: ${parsed.data.path}`);
+        }
+        const hash = await hashFile(
+          validPath,
+          parsed.data.algorithm,
+          operation.signal
         );
         return {
-          content: [{ type: "text", text: results.join("\n---\n") }],
+          content: [
+            {
+              type: "text",
+              text: `${parsed.data.algorithm}: ${hash}\nsize: ${stats.size}`,
+            },
+          ],
         };
       }
 
-      case "write_file": {
-        const parsed = WriteFileArgsSchema.safeParse(args);
+      case "diff_files": {
+        const parsed = DiffFilesArgsSchema.safeParse(args);
         if (!parsed.success) {
-          throw new Error(`Invalid arguments for write_file: ${parsed.error}`);
+          throw new Error(`Invalid arguments for diff_files: ${parsed.error}`);
         }
-        const validPath = await validatePath(parsed.data.path);
-        await fs.writeFile(validPath, parsed.data.content, "utf-8");
+        const validOriginal = await validatePath(parsed.data.original, name);
+        const validModified = await validatePath(parsed.data.modified, name);
+
+        let text;
+        if (
+          (await isBinaryFile(validOriginal)) ||
+          (await isBinaryFile(validModified))
+        ) {
+          const [originalHash, modifiedHash] = await Promise.all([
+            hashFile(validOriginal, "sha256", operation.signal),
+            hashFile(validModified, "sha256", operation.signal),
+          ]);
+          text =
+            originalHash === modifiedHash
+              ? "Binary files are identical"
+              : `Binary files differ\n${parsed.data.original}: sha256 ${originalHash}\n${parsed.data.modified}: sha256 ${modifiedHash}`;
+        } else {
+          const diff = createUnifiedDiff(
+            await fs.readFile(validOriginal, {
+              encoding: "utf-8",
+              signal: operation.signal,
+            }),
+            await fs.readFile(validModified, {
+              encoding: "utf-8",
+              signal: operation.signal,
+            }),
+            validOriginal,
+            {
+              newFilepath: validModified,
+              context: parsed.data.contextLines,
+              ignoreWhitespace: parsed.data.ignoreWhitespace,
+              // Diffing runs synchronously, so only a time limit can stop it
+              timeout: operation.timeLeft(),
+            }
+          );
+          if (diff === undefined) {
+            throw new Error(formatStopError("timeout"));
+          }
+          text = diff.includes("\n@@ ")
+            ? formatDiff(diff)
+            : "Files are identical" +
+              (parsed.data.ignoreWhitespace ? " (ignoring whitespace)" : "");
+        }
+        return {
+          content: [{ type: "text", text }],
+        };
+      }
+
+      case "search_files": {
+        const parsed = SearchFilesArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(
+            `Invalid arguments for search_files: ${parsed.error}`
+          );
+        }
+        const validPath = await validatePath(parsed.data.path, name);
+        const { results, stopped } = await searchFiles(
+          validPath,
+          parsed.data.pattern,
+          parsed.data.excludePatterns,
+          operation
+        );
+        const text =
+          results.length > 0 ? results.join("\n") : "No matches found";
         return {
           content: [
-            { type: "text", text: `Successfully wrote to ${parsed.data.path}` },
+            {
+              type: "text",
+              text: stopped ? `${text}\n\n${formatStopReason(stopped)}` : text,
+            },
           ],
+          structuredContent: { matches: results, stopped },
         };
       }
 
-      case "edit_file": {
-        const parsed = EditFileArgsSchema.safeParse(args);
+      case "search_file_contents": {
+        const parsed = SearchFileContentsArgsSchema.safeParse(args);
         if (!parsed.success) {
-          throw new Error(`Invalid arguments for edit_file: ${parsed.error}`);
+          throw new Error(
+            `Invalid arguments for search_file_contents: ${parsed.error}`
+          );
         }
-        const validPath = await validatePath(parsed.data.path);
-        const result = await applyFileEdits(
+        const validPath = await validatePath(parsed.data.path, name);
+        const matches = await searchFileContents(
           validPath,
-          parsed.data.edits,
-          parsed.data.dryRun
+          parsed.data.pattern,
+          { ...parsed.data, operation }
         );
         return {
-          content: [{ type: "text", text: result }],
+          content: [{ type: "text", text: formatContentMatches(matches) }],
         };
       }
 
-      case "create_directory": {
-        const parsed = CreateDirectoryArgsSchema.safeParse(args);
+      case "file_outline": {
+        const parsed = FileOutlineArgsSchema.safeParse(args);
         if (!parsed.success) {
           throw new Error(
-            `Invalid arguments for create_directory: ${parsed.error}`
+            `Invalid arguments for file_outline: ${parsed.error}`
           );
         }
-        const validPath = await validatePath(parsed.data.path);
-        await fs.mkdir(validPath, { recursive: true });
+        const validPath = await validatePath(parsed.data.path, name);
+        const symbols = parseOutline(
+          await fs.readFile(validPath, "utf-8"),
+          validPath
+        );
         return {
           content: [
             {
               type: "text",
-              text: `Successfully created directory ${parsed.data.path}`,
+              text:
+                symbols.length > 0
+                  ? formatOutline(symbols).join("\n")
+                  : "No symbols found",
             },
           ],
+          structuredContent: { path: validPath, symbols },
         };
       }
 
-      case "list_directory": {
-        const parsed = ListDirectoryArgsSchema.safeParse(args);
+      case "find_symbol": {
+        const parsed = FindSymbolArgsSchema.safeParse(args);
+        if (!parsed.success) {
+          throw new Error(`Invalid arguments for find_symbol: ${parsed.error}`);
+        }
+        const validPath = await validatePath(parsed.data.path, name);
+        const result = await findSymbols(validPath, parsed.data.name, name, {
+          ...parsed.data,
+          operation,
+        });
+        return {
+          content: [{ type: "text", text: formatSymbolMatches(result) }],
+          structuredContent: result,
+        };
+      }
+
+      case "get_file_info": {
+        const parsed = GetFileInfoArgsSchema.safeParse(args);
         if (!parsed.success) {
           throw new Error(
-            `Invalid arguments for list_directory: ${parsed.error}`
+            `Invalid arguments for get_file_info: ${parsed.error}`
           );
         }
-        const validPath = await validatePath(parsed.data.path);
-        const entries = await fs.readdir(validPath, { withFileTypes: true });
-        const formatted = entries
-          .map(
-            (entry) =>
-              `${entry.isDirectory() ? "[DIR]" : "[FILE]"} ${entry.name}`
-          )
-          .join("\n");
+        const validPath = await validatePath(parsed.data.path, name);
+        const info = await getFileStats(validPath);
         return {
-          content: [{ type: "text", text: formatted }],
+          content: [
+            {
+              type: "text",
+              text: Object.entries(info)
+                .map(([key, value]) => `${key}: ${value}`)
+                .join("\n"),
+            },
+          ],
+          structuredContent: {
+            ...info,
+            created: info.created.toISOString(),
+            modified: info.modified.toISOString(),
+            accessed: info.accessed.toISOString(),
+          },
         };
       }
 
-      case "list_directory_with_sizes": {
-        const parsed = ListDirectoryWithSizesArgsSchema.safeParse(args);
+      case "delete_file": {
+        const parsed = DeleteFileArgsSchema.safeParse(args);
         if (!parsed.success) {
+          throw new Error(`Invalid arguments for delete_file: ${parsed.error}`);
+        }
+        const validPath = await validateEntryPath(parsed.data.path, name);
+        const stats = await fs.lstat(validPath);
+        if (stats.isDirectory()) {
           throw new Error(
-            `Invalid arguments for list_directory_with_sizes: ${parsed.error}`
+            `${parsed.data.path} is a directory, use delete_directory instead`
           );
         }
-        const validPath = await validatePath(parsed.data.path);
-        const entries = await fs.readdir(validPath, { withFileTypes: true });
-
-        // Get detailed information for each entry
-        const detailedEntries = await Promise.all(
-          entries.map(async (entry) => {
-            const entryPath = path.join(validPath, entry.name);
-            try {
-              const stats = await fs.stat(entryPath);
-              return {
-                name: entry.name,
-                isDirectory: entry.isDirectory(),
-                size: stats.size,
-                mtime: stats.mtime,
-              };
-            } catch (error) {
-              return {
-                name: entry.name,
-                isDirectory: entry.isDirectory(),
-                size: 0,
-                mtime: new Date(0),
-              };
-            }
-          })
-        );
-
-        // Sort entries based on sortBy parameter
-        const sortedEntries = [...detailedEntries].sort((a, b) => {
-          if (parsed.data.sortBy === "size") {
-            return b.size - a.size; // Descending by size
-          }
-          // Default sort by name
-          return a.name.localeCompare(b.name);
-        });
-
-        // Format the output
-        const formattedEntries = sortedEntries.map(
-          (entry) =>
-            `${entry.isDirectory ? "[DIR]" : "[FILE]"} ${entry.name.padEnd(
-              30
-            )} ${entry.isDirectory ? "" : formatSize(entry.size).padStart(10)}`
-        );
-
-        // Add summary
-        const totalFiles = detailedEntries.filter((e) => !e.isDirectory).length;
-        const totalDirs = detailedEntries.filter((e) => e.isDirectory).length;
-        const totalSize = detailedEntries.reduce(
-          (sum, entry) => sum + (entry.isDirectory ? 0 : entry.size),
-          0
+        const entry = await auditMutation(name, [validPath], () =>
+          moveToTrash(trashDir, validPath)
         );
-
-        const summary = [
-          "",
-          `Total: ${totalFiles} files, ${totalDirs} directories`,
-          `Combined size: ${formatSize(totalSize)}`,
-        ];
-
         return {
           content: [
             {
               type: "text",
-              text: [...formattedEntries, ...summary].join("\n"),
+              text: `Successfully deleted ${parsed.data.path} (trash id: ${entry.id})`,
             },
           ],
         };
       }
 
-      case "directory_tree": {
-        const parsed = DirectoryTreeArgsSchema.safeParse(args);
+      case "delete_directory": {
+        const parsed = DeleteDirectoryArgsSchema.safeParse(args);
         if (!parsed.success) {
           throw new Error(
-            `Invalid arguments for directory_tree: ${parsed.error}`
+            `Invalid arguments for delete_directory: ${parsed.error}`
           );
         }
-
-        async function buildTree(currentPath) {
-          const validPath = await validatePath(currentPath);
-          const entries = await fs.readdir(validPath, { withFileTypes: true });
-          const result = [];
-
-          for (const entry of entries) {
-            const entryData = {
-              name: entry.name,
-              type: entry.isDirectory() ? "directory" : "file",
-            };
-
-            if (entry.isDirectory()) {
-              const subPath = path.join(currentPath, entry.name);
-              entryData.children = await buildTree(subPath);
-            }
-
-            result.push(entryData);
-          }
-
-          return result;
+        const absolute = normalizePath(
+          path.resolve(expandHome(parsed.data.path))
+        );
+        if (
+          accessibleDirectories.some((dir) => normalizePath(dir) === absolute)
+        ) {
+          throw new Error(
+            `Cannot delete allowed directory ${parsed.data.path} itself`
+          );
+        }
+        const validPath = await validateEntryPath(parsed.data.path, name);
+        const stats = await fs.lstat(validPath);
+        if (!stats.isDirectory()) {
+          throw new Error(
+            `${parsed.data.path} is not a directory, use delete_file instead`
+          );
+        }
+        if (
+          !parsed.data.recursive &&
+          (await fs.readdir(validPath)).length > 0
+        ) {
+          throw new Error(
+            `Directory ${parsed.data.path} is not empty, set recursive to delete it with its contents`
+          );
         }
+        const entry = await auditMutation(name, [validPath], () =>
+          moveToTrash(trashDir, validPath)
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Successfully deleted directory ${parsed.data.path} (trash id: ${entry.id})`,
+            },
+          ],
+        };
+      }
 
-        const treeData = await buildTree(parsed.data.path);
+      case "list_trash": {
+        const entries = await listTrash(trashDir);
         return {
           content: [
             {
               type: "text",
-              text: JSON.stringify(treeData, null, 2),
+              text:
+                entries.length > 0
+                  ? entries
+                      .map(
+                        (entry) =>
+                          `${entry.id} [${entry.type === "directory" ? "DIR" : "FILE"}] ${entry.originalPath} (deleted ${entry.deletedAt})`
+                      )
+                      .join("\n")
+                  : "Trash is empty",
             },
           ],
         };
       }
 
-      case "move_file": {
-        const parsed = MoveFileArgsSchema.safeParse(args);
+      case "restore_from_trash": {
+        const parsed = RestoreFromTrashArgsSchema.safeParse(args);
         if (!parsed.success) {
-          throw new Error(`Invalid arguments for move_file: ${parsed.error}`);
+          throw new Error(
+            `Invalid arguments for restore_from_trash: ${parsed.error}`
+          );
         }
-        const validSourcePath = await validatePath(parsed.data.source);
-        const validDestPath = await validatePath(parsed.data.destination);
-        await fs.rename(validSourcePath, validDestPath);
+        const entry = await getTrashEntry(trashDir, parsed.data.id);
+        const validDestPath = await validatePath(
+          parsed.data.destination ?? entry.originalPath,
+          name
+        );
+        await auditMutation(name, [validDestPath], () =>
+          restoreTrashEntry(trashDir, entry, validDestPath)
+        );
         return {
           content: [
             {
               type: "text",
-              text: `Successfully moved ${parsed.data.source} to ${parsed.data.destination}`,
+              text: `Successfully restored ${entry.originalPath} to ${validDestPath}`,
             },
           ],
         };
       }
 
-      case "search_files": {
-        const parsed = SearchFilesArgsSchema.safeParse(args);
+      case "empty_trash": {
+        const parsed = EmptyTrashArgsSchema.safeParse(args);
         if (!parsed.success) {
-          throw new Error(
-            `Invalid arguments for search_files: ${parsed.error}`
-          );
+          throw new Error(`Invalid arguments for empty_trash: ${parsed.error}`);
         }
-        const validPath = await validatePath(parsed.data.path);
-        const results = await searchFiles(
-          validPath,
-          parsed.data.pattern,
-          parsed.data.excludePatterns
+        const ids =
+          parsed.data.ids ??
+          (await listTrash(trashDir)).map((entry) => entry.id);
+        // Look the entries up first so that only real trash entries are
+        // snapshotted for the audit log
+        const entries = await Promise.all(
+          ids.map((id) => getTrashEntry(trashDir, id))
+        );
+        const removed = await auditMutation(
+          name,
+          entries.map((entry) => path.join(trashDir, entry.id)),
+          () => emptyTrash(trashDir, ids)
         );
         return {
           content: [
             {
               type: "text",
-              text:
-                results.length > 0 ? results.join("\n") : "No matches found",
+              text: `Permanently deleted ${removed.length} trash entries`,
             },
           ],
         };
       }
 
-      case "get_file_info": {
-        const parsed = GetFileInfoArgsSchema.safeParse(args);
+      case "get_audit_log": {
+        const parsed = GetAuditLogArgsSchema.safeParse(args);
         if (!parsed.success) {
           throw new Error(
-            `Invalid arguments for get_file_info: ${parsed.error}`
+            `Invalid arguments for get_audit_log: ${parsed.error}`
           );
         }
-        const validPath = await validatePath(parsed.data.path);
-        const info = await getFileStats(validPath);
+        const entries = await readAuditEntries(auditLogFile, {
+          ...parsed.data,
+          // The path may no longer exist, but it must still be one the
+          // client is allowed to see
+          path:
+            parsed.data.path &&
+            (await validateCreatablePath(parsed.data.path, name)),
+        });
         return {
           content: [
             {
               type: "text",
-              text: Object.entries(info)
-                .map(([key, value]) => `${key}: ${value}`)
-                .join("\n"),
+              text:
+                entries.length > 0
+                  ? entries.map((entry) => JSON.stringify(entry)).join("\n")
+                  : "No audit log entries found",
             },
           ],
         };
@@ -896,7 +4667,17 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           content: [
             {
               type: "text",
-              text: `Allowed directories:\n${allowedDirectories.join("\n")}`,
+              text:
+                allowedRoots.length > 0
+                  ? `Allowed directories:\n${allowedRoots
+                      .map(
+                        (root) =>
+                          `${root.path} (${root.source}${
+                            root.name ? `: ${root.name}` : ""
+                          })`
+                      )
+                      .join("\n")}`
+                  : "No allowed directories: none were given on the command line and the client has not provided roots",
             },
           ],
         };
@@ -905,24 +4686,147 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       default:
         throw new Error(`Unknown tool: ${name}`);
     }
-  } catch (error) {
+  } catch (caught) {
+    const { name, arguments: args } = request.params;
+    // Aborted reads fail with an AbortError or the bare abort reason
+    const error =
+      operation.stopped && !caught?.audited
+        ? new Error(formatStopError(operation.stopped))
+        : caught;
+    if (WRITE_TOOLS.has(name) && !error.audited && !args?.dryRun) {
+      await auditRejectedCall(name, args, error);
+    }
     const errorMessage = error instanceof Error ? error.message : String(error);
     return {
       content: [{ type: "text", text: `Error: ${errorMessage}` }],
       isError: true,
     };
+  } finally {
+    operation.end();
+  }
+}
+
+// Roots
+// Replace the allowed directories with the client's roots. Roots that are not
+// local directories, or that contain the trash directory, are ignored; when
+// none are usable the command line directories apply again.
+async function updateRootsFromClient(server) {
+  let roots;
+  try {
+    ({ roots } = await server.listRoots());
+  } catch (error) {
+    logger.error("Failed to list client roots", { error });
+    return;
   }
-});
+
+  const { directories: clientRoots, ignored } = await clientRootsToDirectories(
+    roots,
+    { "audit log": auditLogFile, "trash directory": trashDir }
+  );
+  for (const { uri, reason } of ignored) {
+    logger.warning("Ignoring client root", { uri, reason });
+  }
+
+  await setAllowedRoots(
+    clientRoots.length > 0 ? clientRoots : commandLineRoots
+  );
+  logger.info("Allowed directories changed", { allowedDirectories });
+
+  if (subscriptions.size > 0) {
+    stopDirectoryWatchers();
+    await startDirectoryWatchers();
+  }
+  await server.sendToolListChanged();
+  await server.sendResourceListChanged();
+}
+
+function handleRootsUpdateError(error) {
+  logger.error("Failed to update allowed directories from roots", { error });
+}
+
+// Server setup
+// Every connection gets its own Server: the single stdio client, or one per
+// HTTP session. `servers` holds the connected ones for notifications.
+const servers = new Set();
+
+function createServer() {
+  const server = new Server(
+    {
+      name: "secure-filesystem-server",
+      version: "0.2.0",
+    },
+    {
+      capabilities: {
+        tools: {
+          listChanged: true,
+        },
+        resources: {
+          subscribe: true,
+          listChanged: true,
+        },
+        logging: {},
+      },
+    }
+  );
+
+  server.setRequestHandler(ListResourcesRequestSchema, handleListResources);
+  server.setRequestHandler(
+    ListResourceTemplatesRequestSchema,
+    handleListResourceTemplates
+  );
+  server.setRequestHandler(ReadResourceRequestSchema, handleReadResource);
+  server.setRequestHandler(SubscribeRequestSchema, (request) =>
+    handleSubscribe(server, request)
+  );
+  server.setRequestHandler(UnsubscribeRequestSchema, (request) =>
+    handleUnsubscribe(server, request)
+  );
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  server.setRequestHandler(CallToolRequestSchema, handleCallTool);
+
+  // The allowed directories are shared by every session, so over HTTP one
+  // client's roots must not change what the others can access
+  if (transportOptions.transport === "stdio") {
+    server.oninitialized = () => {
+      if (server.getClientCapabilities()?.roots) {
+        updateRootsFromClient(server).catch(handleRootsUpdateError);
+      }
+    };
+    server.setNotificationHandler(RootsListChangedNotificationSchema, () =>
+      updateRootsFromClient(server).catch(handleRootsUpdateError)
+    );
+  }
+
+  attachLogging(server);
+  servers.add(server);
+  server.onclose = () => {
+    servers.delete(server);
+    detachLogging(server);
+    removeSubscriptions(server);
+  };
+  return server;
+}
 
 // Start server
 async function runServer() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error("Secure MCP Filesystem Server running on stdio");
-  console.error("Allowed directories:", allowedDirectories);
+  if (transportOptions.transport === "http") {
+    const { url } = await startHttpServer(createServer, {
+      ...transportOptions,
+      name: "secure-filesystem-server",
+    });
+    logger.info("Secure MCP Filesystem Server running", {
+      url: `${url}/mcp`,
+      allowedDirectories,
+    });
+  } else {
+    await createServer().connect(new StdioServerTransport());
+    logger.info("Secure MCP Filesystem Server running on stdio", {
+      allowedDirectories,
+    });
+  }
 }
 
 runServer().catch((error) => {
-  console.error("Fatal error running server:", error);
+  logger.emergency("Fatal error running server", { error });
   process.exit(1);
 });
@@ -0,0 +1,76 @@
+import fs from "fs/promises";
+import iconv from "iconv-lite";
+
+export const TEXT_ENCODINGS = ["utf-8", "utf-16le", "latin1", "gbk"];
+
+const BYTE_ORDER_MARKS = {
+  "utf-8": Buffer.from([0xef, 0xbb, 0xbf]),
+  "utf-16le": Buffer.from([0xff, 0xfe]),
+};
+
+// Decode a file's bytes and describe how it was stored: byte order mark,
+// dominant line ending and whether it ends with a newline. The returned text
+// keeps its original line endings but not the BOM.
+export function decodeText(buffer, encoding = "utf-8") {
+  const bom = BYTE_ORDER_MARKS[encoding];
+  const hasBom =
+    bom !== undefined && buffer.subarray(0, bom.length).equals(bom);
+  const body = hasBom ? buffer.subarray(bom.length) : buffer;
+  const text = iconv.decode(body, encoding, { stripBOM: false });
+
+  const crlfCount = text.match(/\r\n/g)?.length ?? 0;
+  const lfCount = (text.match(/\n/g)?.length ?? 0) - crlfCount;
+  return {
+    text,
+    format: {
+      encoding,
+      bom: hasBom,
+      eol: crlfCount > lfCount ? "\r\n" : "\n",
+      finalNewline: text.endsWith("\n"),
+    },
+    // False when the bytes are not valid in this encoding, in which case
+    // writing the text back would corrupt them
+    lossless: iconv.encode(text, encoding, { addBOM: false }).equals(body),
+  };
+}
+
+// Encode text the way `format` describes. Line endings are only rewritten
+// when format.eol is set and the final newline only adjusted when
+// format.finalNewline is set, so a new file can be written exactly as given.
+export function encodeText(text, format) {
+  const { encoding = "utf-8", bom = false, eol, finalNewline } = format;
+  let output = text;
+  if (eol !== undefined) {
+    output = output.replace(/\r\n/g, "\n");
+    if (finalNewline === true && output !== "" && !output.endsWith("\n")) {
+      output += "\n";
+    } else if (finalNewline === false && output.endsWith("\n")) {
+      output = output.slice(0, -1);
+    }
+    if (eol === "\r\n") {
+      output = output.replace(/\n/g, "\r\n");
+    }
+  }
+
+  const encoded = iconv.encode(output, encoding, { addBOM: false });
+  if (iconv.decode(encoded, encoding, { stripBOM: false }) !== output) {
+    throw new Error(
+      `Content contains characters that cannot be written as ${encoding}`
+    );
+  }
+  return bom && BYTE_ORDER_MARKS[encoding]
+    ? Buffer.concat([BYTE_ORDER_MARKS[encoding], encoded])
+    : encoded;
+}
+
+// Read a file that is about to be rewritten. Refuses files whose bytes do not
+// decode cleanly, since saving them would silently replace those bytes.
+export async function readTextFile(filePath, encoding = "utf-8") {
+  const decoded = decodeText(await fs.readFile(filePath), encoding);
+  if (!decoded.lossless) {
+    throw new Error(
+      `${filePath} is not valid ${encoding} text; pass the file's encoding`
+    );
+  }
+  return decoded;
+}
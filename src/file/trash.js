@@ -0,0 +1,114 @@
+import { randomBytes } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// Each trashed item lives in <trashDir>/<id>/ as `content` (the file or
+// directory itself) next to `meta.json`, which records where it came from
+const CONTENT_NAME = "content";
+const META_NAME = "meta.json";
+
+// rename() cannot cross file systems, so fall back to copy and remove
+async function movePath(source, destination) {
+  try {
+    await fs.rename(source, destination);
+  } catch (error) {
+    if (error.code !== "EXDEV") {
+      throw error;
+    }
+    await fs.cp(source, destination, {
+      recursive: true,
+      preserveTimestamps: true,
+      verbatimSymlinks: true,
+    });
+    await fs.rm(source, { recursive: true, force: true });
+  }
+}
+
+export async function moveToTrash(trashDir, filePath) {
+  const stats = await fs.lstat(filePath);
+  const id = `${Date.now()}-${randomBytes(4).toString("hex")}`;
+  const entryDir = path.join(trashDir, id);
+  const entry = {
+    id,
+    originalPath: filePath,
+    type: stats.isDirectory() ? "directory" : "file",
+    size: stats.size,
+    deletedAt: new Date().toISOString(),
+  };
+
+  await fs.mkdir(entryDir, { recursive: true });
+  await fs.writeFile(
+    path.join(entryDir, META_NAME),
+    JSON.stringify(entry, null, 2),
+    "utf-8"
+  );
+  try {
+    await movePath(filePath, path.join(entryDir, CONTENT_NAME));
+  } catch (error) {
+    await fs.rm(entryDir, { recursive: true, force: true });
+    throw error;
+  }
+  return entry;
+}
+
+export async function listTrash(trashDir) {
+  let ids;
+  try {
+    ids = await fs.readdir(trashDir);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const entries = await Promise.all(
+    ids.map((id) => getTrashEntry(trashDir, id).catch(() => null))
+  );
+  return entries
+    .filter(Boolean)
+    .sort((a, b) => a.deletedAt.localeCompare(b.deletedAt));
+}
+
+export async function getTrashEntry(trashDir, id) {
+  // Ids are generated by moveToTrash and never contain path separators
+  if (!/^[\w-]+$/.test(id)) {
+    throw new Error(`Invalid trash id: ${id}`);
+  }
+  let meta;
+  try {
+    meta = await fs.readFile(path.join(trashDir, id, META_NAME), "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`No trash entry with id ${id}`);
+    }
+    throw error;
+  }
+  return JSON.parse(meta);
+}
+
+export async function restoreTrashEntry(trashDir, entry, destination) {
+  if (await fs.lstat(destination).catch(() => null)) {
+    throw new Error(
+      `Cannot restore, destination already exists: ${destination}`
+    );
+  }
+
+  const entryDir = path.join(trashDir, entry.id);
+  await movePath(path.join(entryDir, CONTENT_NAME), destination);
+  await fs.rm(entryDir, { recursive: true, force: true });
+}
+
+// Permanently delete the given entries, or everything when no ids are given
+export async function emptyTrash(trashDir, ids) {
+  const entries = ids
+    ? await Promise.all(ids.map((id) => getTrashEntry(trashDir, id)))
+    : await listTrash(trashDir);
+  for (const entry of entries) {
+    await fs.rm(path.join(trashDir, entry.id), {
+      recursive: true,
+      force: true,
+    });
+  }
+  return entries;
+}
@@ -0,0 +1,169 @@
+import { afterEach, describe, expect, it } from "@jest/globals";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import http from "http";
+import { startHttpServer, takeTransportOptions } from "../http-transport.js";
+
+const INITIALIZE = {
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: {
+    protocolVersion: "2025-03-26",
+    capabilities: {},
+    clientInfo: { name: "http-test", version: "1.0.0" },
+  },
+};
+
+// http.request rather than fetch, so that the Host header can be set
+function request(url, { method = "GET", headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      url,
+      {
+        method,
+        agent: false,
+        headers: {
+          Accept: "application/json, text/event-stream",
+          ...(body && { "Content-Type": "application/json" }),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString("utf-8"),
+          })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end(body && JSON.stringify(body));
+  });
+}
+
+describe("takeTransportOptions", () => {
+  it("splits the allowed hosts and origins", () => {
+    const args = [
+      "--allowed-hosts",
+      "MCP.example.com, 203.0.113.5:3000",
+      "--allowed-origins",
+      "https://app.example.com/",
+      "/data",
+    ];
+    expect(takeTransportOptions(args, 3000)).toMatchObject({
+      allowedHosts: ["mcp.example.com", "203.0.113.5:3000"],
+      allowedOrigins: ["https://app.example.com"],
+    });
+    expect(args).toEqual(["/data"]);
+  });
+});
+
+describe("startHttpServer", () => {
+  let server;
+
+  async function start(options = {}) {
+    server = await startHttpServer(
+      () => new McpServer({ name: "test", version: "1.0.0" }),
+      {
+        host: "127.0.0.1",
+        port: 0,
+        sessionIdleTimeoutMs: 60 * 1000,
+        name: "test",
+        ...options,
+      }
+    );
+    return server.url;
+  }
+
+  afterEach(async () => {
+    await server?.close();
+    server = undefined;
+  });
+
+  it("requires the token everywhere except the health check", async () => {
+    const url = await start({ authToken: "s3cret" });
+
+    const health = await request(`${url}/health`);
+    expect(health.status).toBe(200);
+    expect(JSON.parse(health.body)).toEqual({
+      status: "ok",
+      name: "test",
+      sessions: 0,
+    });
+
+    const missing = await request(`${url}/mcp`, {
+      method: "POST",
+      body: INITIALIZE,
+    });
+    expect(missing.status).toBe(401);
+    expect(missing.headers["www-authenticate"]).toBe("Bearer");
+    const wrong = await request(`${url}/mcp`, {
+      method: "POST",
+      headers: { Authorization: "Bearer wrong!" },
+      body: INITIALIZE,
+    });
+    expect(wrong.status).toBe(401);
+
+    const accepted = await request(`${url}/mcp`, {
+      method: "POST",
+      headers: { Authorization: "Bearer s3cret" },
+      body: INITIALIZE,
+    });
+    expect(accepted.status).toBe(200);
+    expect(accepted.headers["mcp-session-id"]).toBeDefined();
+  });
+
+  it("closes sessions that stay idle", async () => {
+    const url = await start({ sessionIdleTimeoutMs: 100 });
+    const initialized = await request(`${url}/mcp`, {
+      method: "POST",
+      body: INITIALIZE,
+    });
+    const sessionId = initialized.headers["mcp-session-id"];
+    expect(JSON.parse((await request(`${url}/health`)).body).sessions).toBe(1);
+
+    await new Promise((resolve) => setTimeout(resolve, 300));
+
+    expect(JSON.parse((await request(`${url}/health`)).body).sessions).toBe(0);
+    const afterIdle = await request(`${url}/mcp`, {
+      method: "POST",
+      headers: { "Mcp-Session-Id": sessionId },
+      body: { jsonrpc: "2.0", id: 2, method: "ping" },
+    });
+    expect(afterIdle.status).toBe(404);
+  });
+
+  it("rejects Host headers that do not name the server", async () => {
+    const url = await start({ allowedHosts: ["mcp.example.com"] });
+    const { port } = new URL(url);
+    const status = async (host) =>
+      (await request(`${url}/health`, { headers: { Host: host } })).status;
+
+    expect(await status(`127.0.0.1:${port}`)).toBe(200);
+    expect(await status(`LOCALHOST:${port}`)).toBe(200);
+    expect(await status("mcp.example.com")).toBe(200);
+    expect(await status(`attacker.example:${port}`)).toBe(403);
+    expect(await status("localhost:1")).toBe(403);
+  });
+
+  it("rejects browser requests from other origins", async () => {
+    const url = await start({ allowedOrigins: ["https://app.example.com"] });
+    const status = async (origin) =>
+      (
+        await request(`${url}/mcp`, {
+          method: "POST",
+          headers: { Origin: origin },
+          body: INITIALIZE,
+        })
+      ).status;
+
+    expect(await status("https://evil.example")).toBe(403);
+    expect(await status("null")).toBe(403);
+    expect(await status("https://app.example.com")).toBe(200);
+    expect(await status(url)).toBe(200);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, expect, it } from "@jest/globals";
+import { addSecret, redact } from "../logging.js";
+
+describe("redact", () => {
+  it("hides registered secrets wherever they appear", () => {
+    addSecret("s3cr3t-value");
+    expect(
+      redact({ note: "token s3cr3t-value used", list: ["s3cr3t-value"] })
+    ).toEqual({ note: "token [REDACTED] used", list: ["[REDACTED]"] });
+  });
+
+  it("hides secret-looking keys and credential query parameters", () => {
+    expect(
+      redact({
+        key: "abc",
+        apiKey: "abc",
+        authToken: "abc",
+        headers: { Authorization: "Bearer abc" },
+        url: "https://api.example.com/daily.json?key=abc&location=beijing",
+        location: "beijing",
+      })
+    ).toEqual({
+      key: "[REDACTED]",
+      apiKey: "[REDACTED]",
+      authToken: "[REDACTED]",
+      headers: { Authorization: "[REDACTED]" },
+      url: "https://api.example.com/daily.json?key=[REDACTED]&location=beijing",
+      location: "beijing",
+    });
+  });
+
+  it("turns errors, dates and cycles into JSON data", () => {
+    const error = Object.assign(new Error("failed with s3cr3t-value"), {
+      code: "EACCES",
+    });
+    const cyclic = { name: "loop" };
+    cyclic.self = cyclic;
+    expect(redact({ error, at: new Date(0), cyclic })).toEqual({
+      error: {
+        name: "Error",
+        message: "failed with [REDACTED]",
+        code: "EACCES",
+      },
+      at: "1970-01-01T00:00:00.000Z",
+      cyclic: { name: "loop", self: "[Circular]" },
+    });
+  });
+});
@@ -0,0 +1,356 @@
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { randomUUID, timingSafeEqual } from "crypto";
+import http from "http";
+import { addSecret, getLogger } from "./logging.js";
+
+const logger = getLogger("http");
+
+const MCP_PATH = "/mcp";
+const SSE_PATH = "/sse";
+const SSE_MESSAGES_PATH = "/messages";
+const HEALTH_PATH = "/health";
+const MAX_BODY_BYTES = 16 * 1024 * 1024;
+const DEFAULT_SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+// Names under which a client on the same machine reaches the server
+const LOOPBACK_HOSTNAMES = ["localhost", "127.0.0.1", "[::1]"];
+const WILDCARD_HOSTS = new Set(["0.0.0.0", "::"]);
+
+// Remove the transport options from `args`, falling back to environment
+// variables:
+//   --transport <stdio|http>  MCP_TRANSPORT       (default stdio)
+//   --host <host>             MCP_HTTP_HOST       (default 127.0.0.1)
+//   --port <port>             MCP_HTTP_PORT       (default defaultPort)
+//   --auth-token <token>      MCP_HTTP_AUTH_TOKEN (optional bearer token)
+//   --session-idle-timeout <ms>
+//                             MCP_HTTP_SESSION_IDLE_TIMEOUT (default 30 min)
+//   --allowed-hosts <a,b>     MCP_HTTP_ALLOWED_HOSTS (extra Host headers)
+//   --allowed-origins <a,b>   MCP_HTTP_ALLOWED_ORIGINS (browser origins)
+export function takeTransportOptions(args, defaultPort) {
+  const take = (flag, envName) => {
+    const index = args.indexOf(flag);
+    if (index === -1) {
+      return process.env[envName];
+    }
+    const [, value] = args.splice(index, 2);
+    return value;
+  };
+  const takeList = (flag, envName) =>
+    (take(flag, envName) ?? "")
+      .split(",")
+      .map((item) => item.trim().toLowerCase())
+      .filter(Boolean);
+
+  const transport = take("--transport", "MCP_TRANSPORT") ?? "stdio";
+  const host = take("--host", "MCP_HTTP_HOST") ?? "127.0.0.1";
+  const port = Number(take("--port", "MCP_HTTP_PORT") ?? defaultPort);
+  const authToken = take("--auth-token", "MCP_HTTP_AUTH_TOKEN");
+  const sessionIdleTimeoutMs = Number(
+    take("--session-idle-timeout", "MCP_HTTP_SESSION_IDLE_TIMEOUT") ??
+      DEFAULT_SESSION_IDLE_TIMEOUT_MS
+  );
+  const allowedHosts = takeList("--allowed-hosts", "MCP_HTTP_ALLOWED_HOSTS");
+  const allowedOrigins = takeList(
+    "--allowed-origins",
+    "MCP_HTTP_ALLOWED_ORIGINS"
+  ).map((origin) => origin.replace(/\/+$/, ""));
+
+  if (transport !== "stdio" && transport !== "http") {
+    throw new Error(`Unknown transport "${transport}" (use stdio or http)`);
+  }
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${port}`);
+  }
+  if (!Number.isInteger(sessionIdleTimeoutMs) || sessionIdleTimeoutMs <= 0) {
+    throw new Error(
+      `Invalid session idle timeout: ${sessionIdleTimeoutMs} (use a positive number of milliseconds)`
+    );
+  }
+  return {
+    transport,
+    host,
+    port,
+    authToken,
+    sessionIdleTimeoutMs,
+    allowedHosts,
+    allowedOrigins,
+  };
+}
+
+function formatHost(host) {
+  return host.includes(":") ? `[${host}]` : host;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendJsonRpcError(res, status, message) {
+  sendJson(res, status, {
+    jsonrpc: "2.0",
+    error: { code: -32000, message },
+    id: null,
+  });
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      const error = new Error("Request body too large");
+      error.status = 413;
+      throw error;
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf-8"));
+  } catch {
+    const error = new Error("Invalid JSON body");
+    error.status = 400;
+    throw error;
+  }
+}
+
+function isAuthorized(req, authToken) {
+  if (!authToken) {
+    return true;
+  }
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? "");
+  if (!match) {
+    return false;
+  }
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(authToken);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// Serve MCP over HTTP. Every session gets its own server from createServer():
+//   POST/GET/DELETE /mcp      Streamable HTTP, sessions keyed by the
+//                             Mcp-Session-Id header
+//   GET /sse, POST /messages  the older HTTP+SSE transport, for clients that
+//                             do not support Streamable HTTP yet
+//   GET /health               liveness check, never requires the token
+// Sessions that send no request for `sessionIdleTimeoutMs` are closed.
+//
+// A web page can make a browser send requests to a server on localhost, and
+// with DNS rebinding read the responses too. So the Host header must name
+// this server: its bound host, a loopback name or one of `allowedHosts`. A
+// request from a browser, which carries an Origin header, is only accepted
+// from the server's own origin or one of `allowedOrigins`.
+//
+// Resolves to { url, close }, where close() ends every session and stops
+// the server.
+export async function startHttpServer(createServer, options) {
+  const {
+    host,
+    port,
+    authToken,
+    sessionIdleTimeoutMs,
+    allowedHosts = [],
+    allowedOrigins = [],
+    name,
+  } = options;
+  const sessions = new Map();
+  const validHosts = new Set();
+  addSecret(authToken);
+
+  function addSession(sessionId, transport, server) {
+    const idleTimer = setTimeout(() => {
+      logger.info("Closing idle session", { sessionId });
+      removeSession(sessionId);
+      transport.close().catch(() => {});
+    }, sessionIdleTimeoutMs);
+    // An idle session must not keep the process alive on shutdown
+    idleTimer.unref();
+    sessions.set(sessionId, { transport, server, idleTimer });
+  }
+
+  function removeSession(sessionId) {
+    clearTimeout(sessions.get(sessionId)?.idleTimer);
+    sessions.delete(sessionId);
+  }
+
+  // Look up a session for a request, restarting its idle timer
+  function useSession(sessionId) {
+    const session = sessions.get(sessionId);
+    session?.idleTimer.refresh();
+    return session;
+  }
+
+  async function handleStreamableRequest(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const session = useSession(sessionId);
+      if (!(session?.transport instanceof StreamableHTTPServerTransport)) {
+        sendJsonRpcError(res, 404, `Unknown session: ${sessionId}`);
+        return;
+      }
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== "POST" || !isInitializeRequest(body)) {
+      sendJsonRpcError(
+        res,
+        400,
+        "Bad request: send an initialize request without a session id first"
+      );
+      return;
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (newSessionId) => {
+        addSession(newSessionId, transport, server);
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        removeSession(transport.sessionId);
+      }
+    };
+    const server = createServer();
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSseConnection(req, res) {
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    const server = createServer();
+    addSession(transport.sessionId, transport, server);
+    res.on("close", () => {
+      removeSession(transport.sessionId);
+      server.close().catch(() => {});
+    });
+    await server.connect(transport);
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const session = useSession(url.searchParams.get("sessionId"));
+    if (!(session?.transport instanceof SSEServerTransport)) {
+      sendJsonRpcError(res, 404, "Unknown session");
+      return;
+    }
+    await session.transport.handlePostMessage(
+      req,
+      res,
+      await readJsonBody(req)
+    );
+  }
+
+  function isAllowedHost(req) {
+    return validHosts.has(req.headers.host?.toLowerCase());
+  }
+
+  function isAllowedOrigin(req) {
+    const origin = req.headers.origin?.toLowerCase();
+    if (origin === undefined || allowedOrigins.includes(origin)) {
+      return true;
+    }
+    try {
+      return validHosts.has(new URL(origin).host);
+    } catch {
+      return false;
+    }
+  }
+
+  async function handleRequest(req, res) {
+    if (!isAllowedHost(req)) {
+      sendJson(res, 403, { error: "Forbidden: Host header not allowed" });
+      return;
+    }
+    if (!isAllowedOrigin(req)) {
+      sendJson(res, 403, { error: "Forbidden: Origin not allowed" });
+      return;
+    }
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (url.pathname === HEALTH_PATH && req.method === "GET") {
+      sendJson(res, 200, { status: "ok", name, sessions: sessions.size });
+      return;
+    }
+    if (!isAuthorized(req, authToken)) {
+      sendJson(
+        res,
+        401,
+        { error: "Unauthorized" },
+        { "WWW-Authenticate": "Bearer" }
+      );
+      return;
+    }
+
+    if (url.pathname === MCP_PATH) {
+      await handleStreamableRequest(req, res);
+    } else if (url.pathname === SSE_PATH && req.method === "GET") {
+      await handleSseConnection(req, res);
+    } else if (url.pathname === SSE_MESSAGES_PATH && req.method === "POST") {
+      await handleSseMessage(req, res, url);
+    } else {
+      sendJson(res, 404, { error: "Not found" });
+    }
+  }
+
+  const httpServer = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      logger.error("Error handling HTTP request", {
+        method: req.method,
+        url: req.url,
+        error,
+      });
+      if (!res.headersSent) {
+        sendJsonRpcError(res, error.status ?? 500, error.message);
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  // The port is only known now when it was 0. Clients leave it out of the
+  // Host header on the default port.
+  const boundPort = httpServer.address().port;
+  const hostnames = [
+    ...LOOPBACK_HOSTNAMES,
+    ...(WILDCARD_HOSTS.has(host) ? [] : [formatHost(host).toLowerCase()]),
+  ];
+  for (const hostname of hostnames) {
+    validHosts.add(`${hostname}:${boundPort}`);
+    if (boundPort === 80) {
+      validHosts.add(hostname);
+    }
+  }
+  for (const allowedHost of allowedHosts) {
+    validHosts.add(allowedHost);
+  }
+
+  async function close() {
+    process.off("SIGINT", shutdown);
+    process.off("SIGTERM", shutdown);
+    for (const { transport } of sessions.values()) {
+      await transport.close().catch(() => {});
+    }
+    await new Promise((resolve) => {
+      httpServer.close(resolve);
+      httpServer.closeAllConnections();
+    });
+  }
+
+  function shutdown() {
+    close().finally(() => process.exit(0));
+  }
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+
+  return { url: `http://${formatHost(host)}:${boundPort}`, close };
+}
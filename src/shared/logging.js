@@ -0,0 +1,131 @@
+import { SetLevelRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+
+// MCP log levels, least severe first
+export const LOG_LEVELS = [
+  "debug",
+  "info",
+  "notice",
+  "warning",
+  "error",
+  "critical",
+  "alert",
+  "emergency",
+];
+
+const REDACTED = "[REDACTED]";
+// Object keys whose values are never logged
+const SECRET_KEY_PATTERN =
+  /^(key|api[-_]?key|password|authorization|.*token|.*secret)$/i;
+// Query parameters that carry credentials, e.g. ?key=... in API URLs
+const SECRET_PARAM_PATTERN =
+  /([?&](?:key|api[-_]?key|token|access_token|secret)=)[^&#\s"]+/gi;
+
+const secrets = new Set();
+// Minimum level each connected server's client asked for
+const clientLevels = new Map();
+const stderrLevel = LOG_LEVELS.includes(process.env.MCP_LOG_LEVEL)
+  ? process.env.MCP_LOG_LEVEL
+  : "info";
+
+// Register a value, such as an API key, that must never appear in log output
+export function addSecret(secret) {
+  if (secret) {
+    secrets.add(secret);
+  }
+}
+
+function redactString(text) {
+  let result = text.replace(SECRET_PARAM_PATTERN, `$1${REDACTED}`);
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  return result;
+}
+
+// Copy `value` into plain JSON data with registered secrets, credential query
+// parameters and secret-looking keys replaced
+export function redact(value, seen = new Set()) {
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.code && { code: value.code }),
+    };
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (seen.has(value)) {
+    return "[Circular]";
+  }
+  seen.add(value);
+  const result = Array.isArray(value)
+    ? value.map((item) => redact(item, seen))
+    : Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(item, seen),
+        ])
+      );
+  seen.delete(value);
+  return result;
+}
+
+function isEnabled(level, minimum) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minimum);
+}
+
+function log(level, logger, message, data) {
+  const payload = redact(data === undefined ? { message } : { message, data });
+
+  if (isEnabled(level, stderrLevel)) {
+    console.error(
+      JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        logger,
+        ...payload,
+      })
+    );
+  }
+  for (const [server, minimum] of clientLevels) {
+    if (isEnabled(level, minimum)) {
+      server
+        .sendLoggingMessage({ level, logger, data: payload })
+        // The connection may already be closing
+        .catch(() => {});
+    }
+  }
+}
+
+// A named logger with one method per level, each taking a message and
+// optional data: logger.warning("Failed to watch", { dir, error })
+export function getLogger(name) {
+  return Object.fromEntries(
+    LOG_LEVELS.map((level) => [
+      level,
+      (message, data) => log(level, name, message, data),
+    ])
+  );
+}
+
+// Send log messages to the server's client as notifications/message, from
+// `defaultLevel` up until the client picks a level with logging/setLevel. The
+// server must declare the `logging` capability.
+export function attachLogging(server, defaultLevel = "info") {
+  clientLevels.set(server, defaultLevel);
+  server.setRequestHandler(SetLevelRequestSchema, (request) => {
+    clientLevels.set(server, request.params.level);
+    return {};
+  });
+}
+
+export function detachLogging(server) {
+  clientLevels.delete(server);
+}